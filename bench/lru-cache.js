@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Benchmark comparing the linked list based LRU cache (lib/lru-cache.js) with the previous array
+ * based implementation (bench/lru-cache-array.js).
+ *
+ * Each run performs a series of random reads over a key space twice the size of the cache, adding
+ * the item on each miss, so the cache is kept full and items are constantly evicted. Operations are
+ * run in batches, so that the cache's asynchronous pruning can take place between batches.
+ *
+ * Usage: node bench/lru-cache.js [cache size] [operations]
+ */
+var format = require('util').format;
+var mods = {
+    array:  require('./lru-cache-array'),
+    list:   require('../lib/lru-cache')
+}
+
+var CacheSize = Number( process.argv[2] )||10000;
+var Operations = Number( process.argv[3] )||200000;
+// The number of operations in each batch.
+var BatchSize = 100;
+
+// Generate the sequence of item numbers to read, so that each implementation reads the same items.
+var items = [];
+for( var i = 0; i < Operations; i++ ) {
+    items.push( Math.floor( Math.random() * CacheSize * 2 ) );
+}
+
+/**
+ * Run the benchmark against a cache implementation.
+ * @param name  The implementation name.
+ * @param cb    A callback, called with the benchmark result on completion.
+ */
+function run( name, cb ) {
+    var cache = mods[name].createWithMaxSize( CacheSize );
+    var hits = 0, i = 0;
+    var t0 = process.hrtime();
+    function batch() {
+        var end = Math.min( i + BatchSize, items.length );
+        for( ; i < end; i++ ) {
+            // Items are spread over ten groups.
+            var key = cache.key('item'+items[i], 'group'+(items[i] % 10) );
+            if( cache.get( key ) !== undefined ) {
+                hits++;
+            }
+            else {
+                cache.add( items[i], key, 1 );
+            }
+        }
+        if( i < items.length ) {
+            setImmediate( batch );
+        }
+        else {
+            var t = process.hrtime( t0 );
+            var ms = t[0] * 1e3 + t[1] / 1e6;
+            cb({
+                name:   name,
+                ms:     ms,
+                opsSec: Math.round( items.length / ms * 1000 ),
+                hits:   hits
+            });
+        }
+    }
+    batch();
+}
+
+console.log('LRU cache benchmark: cache size %d, %d operations', CacheSize, Operations );
+run('array', function( array ) {
+    run('list', function( list ) {
+        [ array, list ].forEach(function report( result ) {
+            console.log( format('%s\t%d ms\t%d ops/sec\t%d hits', result.name, Math.round( result.ms ), result.opsSec, result.hits ) );
+        });
+        console.log('list/array speedup: %sx', (array.ms / list.ms).toFixed( 1 ) );
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Functions for loading bus component definitions from configuration files.
+ *
+ * A configuration file is a JSON or JS file containing a map of component names
+ * onto component definitions, in the same format as accepted by the SemoBus
+ * constructor. Because a configuration file can't contain direct references to
+ * component constructors, factories or instances, the instance, constructor and
+ * factory properties are instead given as module references, either as:
+ *
+ * - a require path string, e.g. "./lib/db"; or
+ * - an object with a module and (optional) export property, e.g.
+ *   { "module": "./lib/db", "export": "Pool" }
+ *
+ * Relative require paths are resolved relative to the directory containing the
+ * configuration file.
+ *
+ * Environment specific settings can be placed in an overlay file, named by inserting
+ * the environment name before the configuration file's extension, e.g. bus.json
+ * will be overlaid by bus.production.json when running in the production environment.
+ * Overlay properties are merged over the base configuration; plain objects are
+ * merged property by property, all other values (including arrays) are replaced.
+ *
+ * String values within the configuration may contain ${ENV_VAR} references, which
+ * are replaced with the value of the named environment variable.
+ */
+var Log = require('log4js').getLogger('semo.utils.bus-loader');
+var format = require('util').format;
+var mods = {
+    fs:     require('fs'),
+    path:   require('path')
+}
+
+// Names of component definition properties which are loaded from module references.
+var ModuleProperties = ['instance', 'constructor', 'factory'];
+
+/**
+ * Test whether a value is a plain object, i.e. an object literal or parsed JSON.
+ */
+function isPlainObject( value ) {
+    return !!value
+        && typeof value == 'object'
+        && Object.getPrototypeOf( value ) === Object.prototype;
+}
+exports.isPlainObject = isPlainObject;
+
+/**
+ * Deep merge one configuration over another.
+ * @param obj0  The base configuration.
+ * @param obj1  The configuration to merge over the base.
+ * @return A new object containing the merged result.
+ */
+function deepMerge( obj0, obj1 ) {
+    if( !(isPlainObject( obj0 ) && isPlainObject( obj1 )) ) {
+        return obj1 === undefined ? obj0 : obj1;
+    }
+    var result = {};
+    for( var id in obj0 ) {
+        result[id] = obj0[id];
+    }
+    for( var id in obj1 ) {
+        result[id] = deepMerge( obj0[id], obj1[id] );
+    }
+    return result;
+}
+
+/**
+ * Read a configuration file.
+ * @param path  The path to a .json or .js file.
+ * @return The file contents.
+ */
+function readFile( path ) {
+    if( mods.path.extname( path ) == '.js' ) {
+        return require( path );
+    }
+    var json = mods.fs.readFileSync( path ).toString();
+    try {
+        return JSON.parse( json );
+    }
+    catch( e ) {
+        throw new Error( format('Bad bus configuration file %s: %s', path, e.message ) );
+    }
+}
+
+/**
+ * Replace ${ENV_VAR} references within all string values in a configuration.
+ * @param value     A configuration value.
+ * @param env       A map of environment variables.
+ * @param missing   An array for recording the names of undefined variables.
+ * @return A copy of the value with all variable references replaced.
+ */
+function interpolate( value, env, missing ) {
+    if( typeof value == 'string' ) {
+        return value.replace(/\$\{([^}]+)\}/g, function replace( ref, name ) {
+            if( env[name] === undefined ) {
+                missing.push( name );
+                return ref;
+            }
+            return env[name];
+        });
+    }
+    if( Array.isArray( value ) ) {
+        return value.map(function map( item ) {
+            return interpolate( item, env, missing );
+        });
+    }
+    if( isPlainObject( value ) ) {
+        var result = {};
+        for( var id in value ) {
+            result[id] = interpolate( value[id], env, missing );
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Load a module reference.
+ * @param ref   A require path, or an object with module and export properties.
+ *              Any other value is returned unchanged.
+ * @param dir   The directory relative require paths are resolved against.
+ * @param name  The name of the component being loaded.
+ * @return The referenced module export.
+ */
+function loadModule( ref, dir, name ) {
+    var path = typeof ref == 'string' ? ref : ref.module;
+    if( typeof path != 'string' ) {
+        // Not a module reference; this can happen with values in a JS configuration file,
+        // so use the value as is.
+        return ref;
+    }
+    if( path.charAt( 0 ) == '.' ) {
+        path = mods.path.resolve( dir, path );
+    }
+    var result = require( path );
+    if( ref.export ) {
+        result = result[ref.export];
+        if( result === undefined ) {
+            throw new Error( format('Component %s: Module %s has no export named %s', name, path, ref.export ) );
+        }
+    }
+    return result;
+}
+
+/**
+ * Load bus component definitions from a configuration file.
+ * @param path  The path to the configuration file.
+ * @param opts  Optional load options:
+ *              @property env       The environment name, used to find the overlay
+ *                                  file. Defaults to NODE_ENV, or 'development'.
+ *              @property vars      A map of variables used for ${ENV_VAR}
+ *                                  interpolation. Defaults to process.env.
+ * @return A map of component names onto component definitions, suitable for passing
+ *         to the SemoBus constructor.
+ */
+exports.load = function( path, opts ) {
+    opts = opts||{};
+    var env = opts.env||process.env.NODE_ENV||'development';
+    path = mods.path.resolve( path );
+    var dir = mods.path.dirname( path );
+    // Read the base configuration.
+    var config = readFile( path );
+    // Read the environment overlay, if any.
+    var ext = mods.path.extname( path );
+    var overlayPath = path.substring( 0, path.length - ext.length )+'.'+env+ext;
+    if( mods.fs.existsSync( overlayPath ) ) {
+        Log.debug('Applying %s configuration overlay %s', env, overlayPath );
+        config = deepMerge( config, readFile( overlayPath ) );
+    }
+    // Interpolate environment variables.
+    var missing = [];
+    config = interpolate( config, opts.vars||process.env, missing );
+    if( missing.length > 0 ) {
+        throw new Error( format('Bus configuration %s references undefined environment variables: %s',
+                            path, missing.join(', ') ));
+    }
+    // Load component modules.
+    var components = {};
+    for( var name in config ) {
+        var definition = config[name];
+        var component = {};
+        for( var id in definition ) {
+            if( ModuleProperties.indexOf( id ) > -1 ) {
+                component[id] = loadModule( definition[id], dir, name );
+            }
+            else {
+                component[id] = definition[id];
+            }
+        }
+        components[name] = component;
+    }
+    return components;
+}
@@ -12,7 +12,23 @@
  *
  * This two-stage process allows components to resolve other component dependencies
  * before they become fully operational.
+ *
+ * Components may also declare explicit dependencies on other components (see the
+ * dependsOn property of a component definition). A component is only initialized
+ * once all of its dependencies have been initialized, and is only started once all
+ * of its dependencies have been started.
+ *
+ * Child buses attached as components take part in both stages: a child bus' components
+ * are initialized during its parent's init stage (see SemoBus.prototype.init) and are
+ * started during its parent's start stage. A dependency on a component on a child bus
+ * (e.g. 'workers.w1') must name a component present on the child bus, but for
+ * ordering purposes is treated as a dependency on the child bus as a whole.
  * 
+ * Component configurations may contain references to other components on the bus,
+ * in the form { "$ref": "name" }. The name may be a dotted reference to a component
+ * on a child bus. All such references are replaced with the referenced component
+ * before the configuration is passed to the component's init() method.
+ *
  * Components may implement two methods corresponding to each of these stages:
  *
  * init( bus, config, name ): Initialize the component.
@@ -23,6 +39,49 @@
  * start( name ): Start the component.
  * @param name      The name under which the component is registered with the bus.
  *
+ * Running components may implement a method which is called when their configuration
+ * is modified (see SemoBus.prototype.configure):
+ *
+ * reconfigure( newConfig, oldConfig, name ): Apply a modified configuration. If the
+ * method throws an error or returns a rejected promise then the modified configuration
+ * is discarded, and the component keeps its previous configuration.
+ * @param newConfig The new component config.
+ * @param oldConfig The previous component config.
+ * @param name      The name under which the component is registered with the bus.
+ *
+ * Components may also implement a method which is called when the bus is stopped:
+ *
+ * stop( name ): Stop the component, releasing any sockets, timers or other resources
+ * held by the component. Components are stopped in the reverse of the order they
+ * were started in. Child buses attached as components are stopped with their parent.
+ * @param name      The name under which the component is registered with the bus.
+ *
+ * Components may implement a method for reporting their health (see
+ * SemoBus.prototype.health):
+ *
+ * health( name ): Check the component's health. Returns (or resolves to) an object
+ * with an optional status property ('ok', 'degraded' or 'down'; defaults to 'ok') and
+ * an optional details property. If the method throws an error or returns a rejected
+ * promise then the component is reported as down.
+ * @param name      The name under which the component is registered with the bus.
+ *
+ * Components may implement a method for receiving request messages sent through the
+ * bus (see SemoBus.prototype.request):
+ *
+ * receive( message, name ): Handle a request message. Returns (or resolves to) the
+ * reply to the request.
+ * @param message   The request message.
+ * @param name      The name under which the component is registered with the bus.
+ *
+ * The bus tracks the lifecycle state of each component, which is one of 'added',
+ * 'initialized', 'started', 'stopped' or 'failed' (see SemoBus.prototype.status).
+ *
+ * Components added to a running bus may be given a restart policy (see the restart
+ * property of a component definition). If such a component fails to initialize or
+ * start then the bus will re-invoke its init() and start() methods, with an
+ * exponentially increasing delay between each attempt, until either the component
+ * starts or the maximum number of restarts is reached.
+ *
  * The bus emits a number of different events:
  * - add:           When a component is added to the bus.
  *                  The component name is passed as the event data.
@@ -30,18 +89,54 @@
  *                  The component name is passed as the event data.
  * - start-error:   When a component fails to start due to an error.
  *                  The component name is passed as the event data.
+ * - restart:       When a failed component is about to be restarted.
+ *                  The component name and restart attempt number are passed as
+ *                  the event data.
+ * - failed:        When a component has failed to start and its restart policy
+ *                  is exhausted.
+ *                  The error and component name are passed as the event data.
  * - configure:     When a component's configuration is modified.
- *                  The component name is passed as the event data.
+ *                  The component name, new config and old config are passed as
+ *                  the event data.
+ * - configure-error: When a component's configuration can't be modified because the
+ *                  component fails to reconfigure.
+ *                  The error and component name are passed as the event data.
  * - started:       When the bus is fully started.
  *                  The bus is passed as the event data.
+ * - stop:          When a component is stopped.
+ *                  The component name is passed as the event data.
+ * - stop-error:    When a component fails to stop due to an error or timeout.
+ *                  The error and component name are passed as the event data.
+ * - message-error: When a topic subscriber throws an error while handling a
+ *                  published message.
+ *                  The error and topic name are passed as the event data.
+ * - stopped:       When the bus is fully stopped.
+ *                  The bus is passed as the event data.
  */
 var mods = {
     assert: require('assert'),
     events: require('events'),
+    loader: require('./bus-loader'),
     util:   require('util')
 }
 var Q = require('q');
 
+// Default time, in ms, allowed for each component to stop.
+var StopTimeout = 10000;
+// Default time, in ms, allowed for each component health check.
+var HealthTimeout = 5000;
+// Component health statuses, in order of severity.
+var HealthStatuses = ['ok', 'degraded', 'down'];
+// Default time, in ms, allowed for a component to reply to a request.
+var RequestTimeout = 30000;
+// Default component restart policy settings.
+var RestartDefaults = {
+    policy:         'never',
+    maxRestarts:    5,
+    delay:          1000,
+    maxDelay:       60000
+};
+
 /**
  * Invoke a method on a component object.
  * Checks that the named method exists on the object, handles any errors
@@ -72,6 +167,28 @@ function invoke( component, name, args ) {
     return dp.promise;
 }
 
+/**
+ * Test whether a component name is a glob pattern, i.e. contains * or ? wildcards.
+ */
+function isGlob( name ) {
+    return /[*?]/.test( name );
+}
+
+/**
+ * Test whether a component name matches a component name or glob pattern.
+ * @param pattern   A component name or glob pattern.
+ * @param name      The component name to test.
+ */
+function matchName( pattern, name ) {
+    if( !isGlob( pattern ) ) {
+        return pattern === name;
+    }
+    var re = pattern.replace(/[\\^$+.()|[\]{}]/g, '\\$&')
+                    .replace(/\*/g, '.*')
+                    .replace(/\?/g, '.');
+    return new RegExp('^'+re+'$').test( name );
+}
+
 /**
  * Make an event listener for the named bus event.
  * Routes general bus events to specific component listeners.
@@ -87,20 +204,19 @@ function makeEventListener( bus, event ) {
         // Look for listeners for the specific event name.
         var eventListeners = bus.listeners[event];
         if( eventListeners ) {
-            // Look for a list of callback functions for the specified
-            // component name.
-            var callbacks = eventListeners[name];
-            if( callbacks ) {
-                // Invoke each callback function on the list.
-                callbacks.forEach(function callback( cb ) {
-                    // Each callback is passed the name of the component
-                    // and the bus event name.
-                    cb( name, event );
-                });
-            }
-            // Callbacks are called once only; so delete all callbacks for
-            // this component.
-            delete eventListeners[name];
+            // Look for lists of callback functions registered under a name
+            // or pattern matching the component name.
+            Object.keys( eventListeners ).forEach(function match( pattern ) {
+                if( matchName( pattern, name ) ) {
+                    // Invoke each callback function on the list. The list is copied
+                    // first, as once-only callbacks unregister themselves when invoked.
+                    eventListeners[pattern].slice().forEach(function callback( cb ) {
+                        // Each callback is passed the name of the component
+                        // and the bus event name.
+                        cb( name, event );
+                    });
+                }
+            });
         }
     }
 }
@@ -119,13 +235,395 @@ function merge( obj0, obj1 ) {
     return result;
 }
 
+/**
+ * Invoke a method on every component on a bus, in dependency order. Components without
+ * any dependency between them are invoked in parallel. Components whose method fails
+ * are marked as failed.
+ * @param bus       A bus instance.
+ * @param names     The component names, in dependency order (see sortComponents).
+ * @param method    The name of the method to invoke.
+ * @param args      A function returning the method arguments for a named component.
+ * @param done      A function called with each component's name as its method completes.
+ * @return A deferred promise resolving once every component's method has completed.
+ */
+function invokeAll( bus, names, method, args, done ) {
+    var promises = {};
+    names.forEach(function invokeMethod( name ) {
+        var deps = bus.dependencies[name].map(function promise( dep ) {
+            return promises[dependencyName( dep )];
+        });
+        promises[name] = Q.all( deps )
+        .then(function invokeMethod() {
+            return invoke( bus.components[name], method, args( name ) )
+            .fail(function fail( err ) {
+                setState( bus, name, 'failed', err );
+                throw err;
+            });
+        })
+        .then(function invoked() {
+            done( name );
+        });
+    });
+    return Q.all( names.map(function promise( name ) {
+        return promises[name];
+    }));
+}
+
+/**
+ * Return the name of the component on a bus which a dependency refers to. For a dotted
+ * reference to a component on a child bus, this is the name of the child bus.
+ * @param ref   A dependency reference.
+ */
+function dependencyName( ref ) {
+    return ref.split('.')[0];
+}
+
+/**
+ * Find a component's missing dependencies. Dotted references to components on child
+ * buses are checked against the child bus.
+ * @param bus   A bus instance.
+ * @param name  A component name.
+ * @return An array of descriptions of the missing dependencies.
+ */
+function missingDependencies( bus, name ) {
+    return bus.dependencies[name]
+    .filter(function missing( dep ) {
+        return bus.get( dep, true ) == null;
+    })
+    .map(function describe( dep ) {
+        return mods.util.format('%s -> %s', name, dep );
+    });
+}
+
+/**
+ * Sort the components on a bus into dependency order.
+ * Dependencies are read from the bus' dependencies map. A dependency may be a dotted
+ * reference to a component on a child bus, in which case the component is ordered
+ * after the child bus as a whole.
+ * Throws an error if any component depends on a component missing from the bus (or
+ * from a child bus), or if a circular dependency is found.
+ * @param bus   A bus instance.
+ * @return An array of component names, in which each component appears after all of
+ *         the components it depends on.
+ */
+function sortComponents( bus ) {
+    var names = Object.keys( bus.components );
+    // Check for missing dependencies.
+    var missing = [];
+    names.forEach(function check( name ) {
+        missing = missing.concat( missingDependencies( bus, name ) );
+    });
+    if( missing.length > 0 ) {
+        throw new Error('Missing component dependencies: '+missing.join(', '));
+    }
+    // Visit each component, depth first.
+    var order = [], visited = {};
+    function visit( name, path ) {
+        if( visited[name] === true ) {
+            return;
+        }
+        if( visited[name] === false ) {
+            // Component is currently being visited, so the dependency path loops back on itself.
+            var cycle = path.slice( path.indexOf( name ) ).concat( name );
+            throw new Error('Circular component dependency: '+cycle.join(' -> '));
+        }
+        visited[name] = false;
+        path = path.concat( name );
+        bus.dependencies[name].forEach(function dep( dep ) {
+            visit( dependencyName( dep ), path );
+        });
+        visited[name] = true;
+        order.push( name );
+    }
+    names.forEach(function sort( name ) {
+        visit( name, [] );
+    });
+    return order;
+}
+
+/**
+ * Normalize a component's dependency list.
+ * @param dependsOn A component name or dotted reference, or an array of names.
+ * @return An array of component names and dotted references.
+ */
+function normalizeDependencies( dependsOn ) {
+    if( !dependsOn ) {
+        return [];
+    }
+    if( !Array.isArray( dependsOn ) ) {
+        dependsOn = [ dependsOn ];
+    }
+    return dependsOn.slice();
+}
+
+/**
+ * Test whether a value is a component reference, i.e. an object of the form
+ * { "$ref": "name" }.
+ */
+function isRef( value ) {
+    return !!value
+        && typeof value == 'object'
+        && typeof value.$ref == 'string'
+        && Object.keys( value ).length == 1;
+}
+
+/**
+ * Resolve any component references within a configuration value.
+ * Plain objects and arrays are copied, so the original value isn't modified.
+ * @param bus           A bus instance.
+ * @param value         The configuration value.
+ * @param path          The property path to the value, used when reporting
+ *                      unresolved references.
+ * @param unresolved    An array for recording any references which can't
+ *                      be resolved.
+ * @return A copy of the value, with all references replaced by the referenced
+ *         components.
+ */
+function resolveRefs( bus, value, path, unresolved ) {
+    if( isRef( value ) ) {
+        var component = bus.get( value.$ref, true );
+        if( component == null ) {
+            unresolved.push( mods.util.format('%s -> %s', path, value.$ref ) );
+        }
+        return component;
+    }
+    if( Array.isArray( value ) ) {
+        return value.map(function resolve( item, idx ) {
+            return resolveRefs( bus, item, path+'['+idx+']', unresolved );
+        });
+    }
+    if( mods.loader.isPlainObject( value ) ) {
+        var result = {};
+        for( var id in value ) {
+            result[id] = resolveRefs( bus, value[id], path+'.'+id, unresolved );
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Resolve the component references within the configurations of a set of
+ * components.
+ * Throws an error listing all unresolved references if any reference can't
+ * be resolved.
+ * @param bus   A bus instance.
+ * @param names A list of component names.
+ * @return A map of component names onto resolved configurations.
+ */
+function resolveConfigs( bus, names ) {
+    var configs = {}, unresolved = [];
+    names.forEach(function resolve( name ) {
+        configs[name] = resolveRefs( bus, bus.configs[name], name, unresolved );
+    });
+    if( unresolved.length > 0 ) {
+        throw new Error('Unresolved component references: '+unresolved.join(', '));
+    }
+    return configs;
+}
+
+/**
+ * Normalize a component's restart policy.
+ * @param restart   A restart policy name ('never' or 'on-failure'), or an object with
+ *                  the following optional properties:
+ *                  @property policy        The policy name. Defaults to 'on-failure'.
+ *                  @property maxRestarts   The maximum number of restarts to attempt.
+ *                  @property delay         The delay, in ms, before the first restart.
+ *                  @property maxDelay      The maximum delay, in ms, between restarts.
+ * @return A restart policy object with all properties set.
+ */
+function normalizeRestartPolicy( restart ) {
+    if( typeof restart == 'string' ) {
+        restart = { policy: restart };
+    }
+    else if( restart ) {
+        restart = merge({ policy: 'on-failure' }, restart );
+    }
+    var policy = merge( merge( {}, RestartDefaults ), restart );
+    mods.assert( policy.policy == 'never' || policy.policy == 'on-failure',
+                 mods.util.format('Unsupported component restart policy: %s', policy.policy ));
+    return policy;
+}
+
+/**
+ * Initialize and start a single component on a running bus.
+ * @param bus   A bus instance.
+ * @param name  A component name.
+ * @return A deferred promise resolving once the component has started.
+ */
+function startComponent( bus, name ) {
+    var component = bus.components[name];
+    return Q.fcall(function check() {
+        // Check that the component's dependencies are on the bus.
+        var missing = missingDependencies( bus, name );
+        if( missing.length > 0 ) {
+            throw new Error('Missing component dependencies: '+missing.join(', '));
+        }
+    })
+    .then(function init() {
+        var configs = resolveConfigs( bus, [ name ]);
+        return invoke( component, 'init', [ bus, configs[name], name ]);
+    })
+    .then(function start() {
+        setState( bus, name, 'initialized');
+        return invoke( component, 'start', [ name ]);
+    })
+    .then(function started() {
+        setState( bus, name, 'started');
+        if( bus.startOrder.indexOf( name ) < 0 ) {
+            bus.startOrder.push( name );
+        }
+        bus.emit('start', name );
+    });
+}
+
+/**
+ * Stop a single component. Child buses are stopped by calling their stop() method.
+ * @param component The component.
+ * @param name      The component name.
+ * @param timeout   The time, in ms, allowed for the component to stop. A child bus applies
+ *                  the timeout to each of its own components, rather than as a whole.
+ * @return A deferred promise resolving once the component has stopped. The promise is
+ *         rejected if the component fails to stop, or doesn't stop within the timeout.
+ */
+function stopComponent( component, name, timeout ) {
+    if( component instanceof SemoBus ) {
+        // Stop a child bus.
+        return component.stop( timeout );
+    }
+    return invoke( component, 'stop', [ name ])
+    .timeout( timeout, mods.util.format('Component %s failed to stop within %dms', name, timeout ));
+}
+
+/**
+ * Start a component on a running bus, and restart it according to its restart policy
+ * if it fails to start. Each restart is recorded in the component's status. Once the
+ * restart policy is exhausted, the bus emits a 'failed' event.
+ * @param bus   A bus instance.
+ * @param name  A component name.
+ * @return A deferred promise resolving once the component has started, or has failed
+ *         and won't be restarted.
+ */
+function superviseComponent( bus, name ) {
+    var component = bus.components[name];
+    var status = bus.statuses[name];
+    var policy = bus.restartPolicies[name];
+    return startComponent( bus, name )
+    .fail(function fail( err ) {
+        setState( bus, name, 'failed', err );
+        bus.emit('start-error', err, name );
+        // Don't restart if the component has since been replaced, or the bus stopped.
+        if( bus.components[name] !== component || !bus.started ) {
+            return;
+        }
+        var restarts = status.restarts;
+        if( policy.policy == 'on-failure' && restarts.length < policy.maxRestarts ) {
+            var delay = Math.min( policy.delay * Math.pow( 2, restarts.length ), policy.maxDelay );
+            restarts.push({
+                time:   new Date(),
+                error:  err,
+                delay:  delay
+            });
+            bus.emit('restart', name, restarts.length );
+            return Q.delay( delay )
+            .then(function restart() {
+                if( bus.components[name] === component && bus.started ) {
+                    return superviseComponent( bus, name );
+                }
+            });
+        }
+        // Restart policy exhausted.
+        bus.emit('failed', err, name );
+    });
+}
+
+/**
+ * Resolve a topic reference to a bus and topic name.
+ * The last part of a dotted topic reference is the topic name; any preceeding parts
+ * are a reference to a child bus.
+ * @param bus   A bus instance.
+ * @param ref   A topic reference, e.g. 'jobs' or 'workers.jobs'.
+ * @return An object with bus and topic properties.
+ */
+function resolveTopic( bus, ref ) {
+    var names = ref.split('.');
+    var topic = names.pop();
+    if( names.length > 0 ) {
+        // Note that get() consumes the array it is passed, so pass a copy.
+        var child = bus.get( names.slice() );
+        mods.assert( child instanceof SemoBus,
+                     mods.util.format("Component %s can't be used to resolve topic %s", names.join('.'), topic ));
+        bus = child;
+    }
+    return { bus: bus, topic: topic };
+}
+
+/**
+ * Update a component's lifecycle state.
+ * @param bus   A bus instance.
+ * @param name  A component name.
+ * @param state The component's new state.
+ * @param err   Optional error, when the component has failed.
+ */
+function setState( bus, name, state, err ) {
+    var status = bus.statuses[name];
+    status.state = state;
+    status.error = err;
+    status.updated = new Date();
+}
+
+/**
+ * Check the health of a single component.
+ * @param bus       A bus instance.
+ * @param name      A component name.
+ * @param timeout   The time, in ms, allowed for the check.
+ * @return A deferred promise resolving to the component's health result.
+ */
+function checkHealth( bus, name, timeout ) {
+    var component = bus.components[name];
+    var state = bus.statuses[name].state;
+    var t0 = Date.now();
+    var check;
+    if( state != 'started' ) {
+        // A component which isn't running can't be healthy.
+        var err = bus.statuses[name].error;
+        check = Q({ status: 'down', details: err ? err.message : 'Component not started' });
+    }
+    else if( component instanceof SemoBus ) {
+        check = component.health( timeout );
+    }
+    else {
+        check = invoke( component, 'health', [ name ])
+        .timeout( timeout, mods.util.format('Component %s health check timed out after %dms', name, timeout ))
+        .then(function health( result ) {
+            result = result||{};
+            return {
+                status:  HealthStatuses.indexOf( result.status ) > -1 ? result.status : 'ok',
+                details: result.details
+            };
+        })
+        .fail(function fail( err ) {
+            return { status: 'down', details: err.message };
+        });
+    }
+    return check.then(function result( result ) {
+        return {
+            status:  result.status,
+            state:   state,
+            latency: Date.now() - t0,
+            details: result.details
+        };
+    });
+}
+
 /**
  * Register an event callback function for a specific named component.
  * @param bus       A bus instance.
  * @param event     A bus event name.
- * @param name      A component name.
+ * @param name      A component name or glob pattern.
  * @param callback  A callback function, called when the named event is
  *                  emited for the named component.
+ * @return A function for unregistering the callback.
  */
 function registerEventCallback( bus, event, name, callback ) {
     // Register the listener function.
@@ -137,6 +635,86 @@ function registerEventCallback( bus, event, name, callback ) {
     else {
         eventListeners[name] = callbacks = [ callback ];
     }
+    return function unregister() {
+        var callbacks = eventListeners[name];
+        var idx = callbacks ? callbacks.indexOf( callback ) : -1;
+        if( idx > -1 ) {
+            callbacks.splice( idx, 1 );
+            if( callbacks.length == 0 ) {
+                delete eventListeners[name];
+            }
+        }
+    }
+}
+
+/**
+ * Subscribe to add or start events for components matching a reference.
+ * The reference may be a dotted reference to components on child buses, and each
+ * part of the reference may be a glob pattern, e.g. 'workers.*'. Callbacks are
+ * invoked immediately (on the next tick) for matching components which have
+ * already been added or started.
+ * @param bus       A bus instance.
+ * @param event     The bus event name; 'add' or 'start'.
+ * @param ref       A component reference.
+ * @param callback  A callback function; called with the component's full dotted
+ *                  name (relative to the bus) and the bus event name.
+ * @param once      If true then the callback is invoked once only, for the first
+ *                  matching component.
+ * @return A function for cancelling the subscription.
+ */
+function subscribe( bus, event, ref, callback, once ) {
+    var names = ref.split('.');
+    var name = names.shift();
+    var cancelled = false, unregisters = [];
+    function unsubscribe() {
+        cancelled = true;
+        unregisters.forEach(function unregister( unregister ) {
+            unregister();
+        });
+        unregisters = [];
+    }
+    function fire( name, event ) {
+        if( cancelled ) {
+            return;
+        }
+        if( once ) {
+            unsubscribe();
+        }
+        callback( name, event );
+    }
+    if( names.length > 0 ) {
+        // Reference to components on a child bus; wait for matching child buses to be
+        // added, and then subscribe to the remainder of the reference on each child bus.
+        var rest = names.join('.');
+        unregisters.push( subscribe( bus, 'add', name, function added( childName ) {
+            var child = bus.components[childName];
+            if( child instanceof SemoBus && !cancelled ) {
+                unregisters.push( subscribe( child, event, rest, function child( name, event ) {
+                    fire( childName+'.'+name, event );
+                }, once ));
+            }
+        }, once && !isGlob( name ) ));
+        return unsubscribe;
+    }
+    // Find components which have already been added or started.
+    var matches = Object.keys( bus.components ).filter(function match( componentName ) {
+        if( !matchName( name, componentName ) ) {
+            return false;
+        }
+        return event == 'add' || (bus.started && bus.statuses[componentName].state == 'started');
+    });
+    if( once && matches.length > 0 ) {
+        matches = matches.slice( 0, 1 );
+    }
+    else {
+        unregisters.push( registerEventCallback( bus, event, name, fire ) );
+    }
+    matches.forEach(function match( componentName ) {
+        process.nextTick(function notify() {
+            fire( componentName, event );
+        });
+    });
+    return unsubscribe;
 }
 
 mods.util.inherits( SemoBus, mods.events.EventEmitter );
@@ -150,6 +728,17 @@ mods.util.inherits( SemoBus, mods.events.EventEmitter );
  *                      @property factory       A factory function for building an instance.
  *                      @property config        Component configuration. Passed to the
  *                                              component's init() function at startup.
+ *                                              Any { "$ref": "name" } values are
+ *                                              replaced with the named component.
+ *                      @property dependsOn     A list of the names of components which
+ *                                              must be initialized and started before
+ *                                              this component. May be dotted references
+ *                                              to components on child buses.
+ *                      @property restart       The component's restart policy, used if the
+ *                                              component is added to a running bus and
+ *                                              fails to start. Either 'never' (the default)
+ *                                              or 'on-failure', or an object with policy,
+ *                                              maxRestarts, delay and maxDelay properties.
  *                      If a definition doesn't have an instance, constructor or factory
  *                      property then the definition itself is used as the instance, and
  *                      the config property is ignored.
@@ -159,19 +748,35 @@ function SemoBus( components ) {
     this.components = {};
     // A map of component configs, keyed by component name.
     this.configs = {};
+    // A map of in-progress configuration changes, keyed by component name.
+    this.configuring = {};
+    // A map of component dependency lists, keyed by component name.
+    this.dependencies = {};
     // A map of bus event listeners.
     this.listeners = {
         add: {},
         start: {}
     };
+    // Flag indicating whether the bus' components have been initialized.
+    this.initialized = false;
     // Flag indicating whether the bus has started.
     this.started = false;
+    // A list of component names, in the order the components were started.
+    this.startOrder = [];
+    // A map of component lifecycle statuses, keyed by component name.
+    this.statuses = {};
+    // A map of component restart policies, keyed by component name.
+    this.restartPolicies = {};
+    // A map of topic subscriber lists, keyed by topic name. The map has no prototype,
+    // so that any string can be used as a topic name.
+    this.topics = Object.create( null );
     // Add the components.
     for( var name in components ) {
         var component = components[name];
         var instance = component.instance;
-        var config;
-        if( !instance && component.constructor ) {
+        // Note that these are reset on each iteration, as var declarations are function scoped.
+        var config = undefined, dependsOn = undefined, restart = undefined;
+        if( !instance && component.hasOwnProperty('constructor') ) {
             instance = new component.constructor();
         }
         if( !instance && component.factory ) {
@@ -182,10 +787,12 @@ function SemoBus( components ) {
         }
         else {
             config = component.config;
+            dependsOn = component.dependsOn;
+            restart = component.restart;
         }
-        this.add( name, instance, config );
+        this.add( name, instance, config, dependsOn, restart );
     }
-    // Add bus event listeners (see whenAdded and whenStarted).
+    // Add bus event listeners (see onceAdded and onceStarted).
     this.addListener('add', makeEventListener( this, 'add'));
     this.addListener('start', makeEventListener( this, 'start'));
 }
@@ -193,82 +800,215 @@ function SemoBus( components ) {
 /**
  * Add a component to the bus. If the bus is already running then the
  * component will be started immediately. The bus will emit a start-error
- * event if an error happens when starting any component.
+ * event if an error happens when starting any component, and will restart
+ * the component according to its restart policy.
+ * If the component replaces a started component with the same name, then
+ * the replaced component is stopped before the new component is started;
+ * the bus emits a stop-error event if the replaced component fails to stop.
  * @param name      The name the component should be added under.
  * @param component The component to add.
  * @param config    Optional component config. Passed to the component's
  *                  init() method when the bus is started.
+ * @param dependsOn Optional list of names of components that the component
+ *                  depends on.
+ * @param restart   Optional component restart policy.
  */
-SemoBus.prototype.add = function( name, component, config ) {
+SemoBus.prototype.add = function( name, component, config, dependsOn, restart ) {
+    var bus = this;
+    var stopping;
+    var idx = this.startOrder.indexOf( name );
+    if( idx > -1 ) {
+        // Stop the started component being replaced.
+        this.startOrder.splice( idx, 1 );
+        stopping = stopComponent( this.components[name], name, StopTimeout )
+        .fail(function fail( err ) {
+            bus.emit('stop-error', err, name );
+        });
+    }
     this.components[name] = component;
     this.configs[name] = config;
+    this.dependencies[name] = normalizeDependencies( dependsOn );
+    this.restartPolicies[name] = normalizeRestartPolicy( restart );
+    this.statuses[name] = { restarts: [] };
+    setState( this, name, 'added');
     this.emit('add', name );
-    if( this.started ) {
+    if( stopping ) {
+        stopping.then(function stopped() {
+            // Start the new component, unless it has since been replaced or the bus stopped.
+            if( bus.components[name] === component && bus.started ) {
+                superviseComponent( bus, name );
+            }
+        });
+    }
+    else if( this.started ) {
         // Bus is running, so init and start the component.
-        var bus = this;
-        invoke( component, 'init', [ bus, config, name ])
-        .then(function start() {
-            return invoke( component, 'start', [ name ]);
-        })
-        .then(function started() {
-            bus.emit('start', name );
-        })
-        .fail(function fail( err ) {
-            bus.emit('start-error', err, name );
+        superviseComponent( this, name );
+    }
+}
+
+/**
+ * Modify a component's configuration.
+ * The new configuration is merged over a copy of the component's existing configuration.
+ * If the component is running then its reconfigure() method is called with the new and
+ * old configurations, and the new configuration is only recorded once this succeeds;
+ * otherwise the new configuration is recorded immediately.
+ * @param bus       A bus instance.
+ * @param name      The name of the component being configured.
+ * @param config    The configuration to merge.
+ * @return A deferred promise resolving once the component is configured.
+ */
+function applyConfig( bus, name, config ) {
+    var oldConfig = bus.configs[name];
+    var newConfig = merge( merge( {}, oldConfig ), config );
+    // Only notify components which have been started.
+    if( bus.startOrder.indexOf( name ) < 0 ) {
+        bus.configs[name] = newConfig;
+        bus.emit('configure', name, newConfig, oldConfig );
+        return Q();
+    }
+    return Q.fcall(function reconfigure() {
+        var unresolved = [];
+        var args = [
+            resolveRefs( bus, newConfig, name, unresolved ),
+            resolveRefs( bus, oldConfig, name, unresolved ),
+            name
+        ];
+        if( unresolved.length > 0 ) {
+            throw new Error('Unresolved component references: '+unresolved.join(', '));
+        }
+        return invoke( bus.components[name], 'reconfigure', args );
+    })
+    .then(function configured() {
+        bus.configs[name] = newConfig;
+        bus.emit('configure', name, newConfig, oldConfig );
+    })
+    .fail(function fail( err ) {
+        // The component keeps its old configuration.
+        bus.emit('configure-error', err, name );
+        throw err;
+    });
+}
+
+/**
+ * Modify a component's configuration; see applyConfig().
+ * Modifications to the same component are applied one at a time, in the order they
+ * are made, so that each modification is merged over the last accepted configuration.
+ * @param bus       A bus instance.
+ * @param name      The name of the component being configured.
+ * @param config    The configuration to merge.
+ * @return A deferred promise resolving once the component is configured.
+ */
+function configureComponent( bus, name, config ) {
+    var pending = bus.configuring[name];
+    var result;
+    if( pending ) {
+        // Wait for the previous modification to complete, whether or not it succeeds.
+        result = pending.then( null, function ignore() {} )
+        .then(function configure() {
+            return applyConfig( bus, name, config );
         });
     }
+    else {
+        result = applyConfig( bus, name, config );
+    }
+    bus.configuring[name] = result;
+    function done() {
+        if( bus.configuring[name] === result ) {
+            delete bus.configuring[name];
+        }
+    }
+    result.then( done, done );
+    return result;
 }
 
 /**
  * Add component configuration. The new configuration is merged over any existing
- * configuration. Emits a 'configure' event for each configured component.
+ * configuration. Running components are notified of the change through their
+ * reconfigure() method, and keep their existing configuration if this fails.
+ * Emits a 'configure' event for each configured component.
  * @param arg0  If only one argument provided then a map of component names onto
  *              component configurations.
  *              If two arguments provided, then the name of the component being
  *              configured.
  * @param arg1  A component configuration.
+ * @return A deferred promise resolving once all components are configured. The
+ *         promise is rejected if any component fails to reconfigure.
  */
 SemoBus.prototype.configure = function( arg0, arg1 ) {
+    var bus = this;
     switch( arguments.length ) {
     case 0:
-        break;
+        return Q();
     case 1:
-        for( var name in arg0 ) {
-            this.components[name] = merge( this.components[name], arg0[name] );
-            this.emit('configure', name );
-        }
-        break;
+        return Q.all( Object.keys( arg0 ).map(function configure( name ) {
+            return configureComponent( bus, name, arg0[name] );
+        }));
     default:
-        this.components[arg0] = merge( this.components[arg0], arg1 );
-        this.emit('configure', arg0 );
-        break;
+        return configureComponent( bus, arg0, arg1 );
     }
 }
         
 /**
- * Start the bus. Initializes and starts any components already added to the bus.
- * @return  A deferred promise that is resolved once all components have started. If
- *          any registered component fails to initialize or start then the promise
- *          is rejected.
+ * Initialize the bus. Initializes any components already added to the bus, in dependency
+ * order; components without any dependency between them are initialized in parallel.
+ * This is called by start() if the bus hasn't already been initialized; a child bus is
+ * initialized during its parent's init stage, so that components depending on the child
+ * bus' components are initialized after them.
+ * @return  A deferred promise that is resolved once all components have been initialized.
+ *          If any registered component fails to initialize, or if the component dependencies
+ *          are missing or circular, then the promise is rejected.
  */
-SemoBus.prototype.start = function() {
+SemoBus.prototype.init = function() {
     var bus = this;
-    var names = Object.keys( components );
+    var names, configs;
+    try {
+        // Check dependencies and resolve config references before anything is initialized.
+        names = sortComponents( bus );
+        configs = resolveConfigs( bus, names );
+    }
+    catch( err ) {
+        return Q.reject( err );
+    }
     // Initialize all registered components. The initialization phase allows components
     // to resolve references to other components they may require, before they are started.
-    var inits = names.map(function init( name ) {
-        var component = bus.components[name];
-        var config = bus.configs[name];
-        return invoke( component, 'init', [ bus, config, name ] );
+    return invokeAll( bus, names, 'init', function args( name ) {
+        return [ bus, configs[name], name ];
+    },
+    function done( name ) {
+        setState( bus, name, 'initialized');
+    })
+    .then(function initialized() {
+        bus.initialized = true;
     });
-    return Q.all( inits )
+}
+
+/**
+ * Start the bus. Initializes (unless already initialized) and starts any components
+ * already added to the bus. Components are initialized and started in dependency order;
+ * components without any dependency between them are initialized and started in parallel.
+ * @return  A deferred promise that is resolved once all components have started. If
+ *          any registered component fails to initialize or start, or if the component
+ *          dependencies are missing or circular, then the promise is rejected.
+ */
+SemoBus.prototype.start = function() {
+    var bus = this;
+    var names;
+    return Q.fcall(function init() {
+        if( !bus.initialized ) {
+            return bus.init();
+        }
+    })
     .then(function starts() {
+        names = sortComponents( bus );
         // Start all components.
-        var starts = names.map(function start( name ) {
-            var component = bus.components[name];
-            return invoke( component, 'start', [ name ] );
+        bus.startOrder = [];
+        return invokeAll( bus, names, 'start', function args( name ) {
+            return [ name ];
+        },
+        function done( name ) {
+            setState( bus, name, 'started');
+            bus.startOrder.push( name );
         });
-        return Q.all( starts );
     })
     .then(function started() {
         // All components initialied and started without any errors.
@@ -278,6 +1018,119 @@ SemoBus.prototype.start = function() {
             bus.emit('start', name );
         });
         bus.emit('started', bus );
+    })
+    .fail(function fail( err ) {
+        // Components are reinitialized if the bus is started again.
+        bus.initialized = false;
+        throw err;
+    });
+}
+
+/**
+ * Stop the bus. Stops each started component in the reverse of the order that the
+ * components were started in. Components attached to the bus which are themselves
+ * buses are stopped by calling their stop() method.
+ * The bus will emit a stop-error event if any component fails to stop, or takes
+ * longer than the timeout to stop, but will continue stopping the remaining
+ * components.
+ * @param timeout   Optional time, in ms, allowed for each component to stop.
+ *                  Defaults to 10s. Each component on a child bus is allowed the
+ *                  same time to stop.
+ * @return  A deferred promise that is resolved once all components have stopped. If
+ *          any component fails to stop then the promise is rejected once all other
+ *          components have been stopped.
+ */
+SemoBus.prototype.stop = function( timeout ) {
+    var bus = this;
+    timeout = timeout||StopTimeout;
+    var names = bus.startOrder.slice().reverse();
+    var errors = [];
+    bus.started = false;
+    bus.initialized = false;
+    bus.startOrder = [];
+    // Stop each component in turn.
+    return names.reduce(function stop( prev, name ) {
+        return prev.then(function stop() {
+            return stopComponent( bus.components[name], name, timeout )
+            .then(function stopped() {
+                setState( bus, name, 'stopped');
+                bus.emit('stop', name );
+            })
+            .fail(function fail( err ) {
+                setState( bus, name, 'failed', err );
+                errors.push( err );
+                bus.emit('stop-error', err, name );
+            });
+        });
+    }, Q())
+    .then(function stopped() {
+        bus.emit('stopped', bus );
+        if( errors.length > 0 ) {
+            var err = new Error( mods.util.format('%d component(s) failed to stop: %s', errors.length,
+                errors.map(function message( err ) {
+                    return err.message;
+                }).join('; ') ));
+            err.errors = errors;
+            throw err;
+        }
+    });
+}
+
+/**
+ * Return the lifecycle status of one or all components on the bus.
+ * Each status has the following properties:
+ * - state:     The component's lifecycle state; one of 'added', 'initialized',
+ *              'started', 'stopped' or 'failed'.
+ * - error:     The error which caused the component to fail, if any.
+ * - updated:   The time the state was last updated.
+ * - restarts:  A history of the component's restarts. Each restart records the
+ *              time, the error which caused the restart and the restart delay.
+ * @param name  Optional component name. If not specified then a map of all
+ *              component names onto their statuses is returned.
+ */
+SemoBus.prototype.status = function( name ) {
+    if( name !== undefined ) {
+        return this.statuses[name];
+    }
+    return this.statuses;
+}
+
+/**
+ * Check the health of all components on the bus, including components on child buses.
+ * Each component's health() method (if any) is called; components which aren't started
+ * are reported as down.
+ * @param timeout   Optional time, in ms, allowed for each component's health check.
+ *                  Defaults to 5s.
+ * @return A deferred promise resolving to the bus health result. Each health result has
+ *         the following properties:
+ *         - status:    'ok', 'degraded' or 'down'. The status of a bus is the status of
+ *                      its least healthy component.
+ *         - state:     The component lifecycle state.
+ *         - latency:   The time, in ms, taken to perform the check.
+ *         - details:   Component specific health details. For a bus, a map of component
+ *                      names onto component health results.
+ */
+SemoBus.prototype.health = function( timeout ) {
+    var bus = this;
+    timeout = timeout||HealthTimeout;
+    var t0 = Date.now();
+    var names = Object.keys( bus.components );
+    return Q.all( names.map(function check( name ) {
+        return checkHealth( bus, name, timeout );
+    }))
+    .then(function health( results ) {
+        var severity = 0, details = {};
+        names.forEach(function result( name, idx ) {
+            var result = results[idx];
+            severity = Math.max( severity, HealthStatuses.indexOf( result.status ) );
+            details[name] = result;
+        });
+        return {
+            status:  HealthStatuses[severity],
+            state:   bus.started ? 'started' : 'stopped',
+            latency: Date.now() - t0,
+            details: details
+        };
     });
 }
 
@@ -336,32 +1189,165 @@ SemoBus.prototype.get = function( ref, noassert, bref ) {
     return component;
 }
 
+/**
+ * Publish a message to a topic. The message is delivered to all subscribers to the
+ * topic on the bus.
+ * Topic names may not contain dots; a dotted topic reference is used to publish to
+ * a topic on a child bus, e.g. 'workers.jobs' refers to the 'jobs' topic on the
+ * 'workers' child bus.
+ * The bus emits a message-error event if any subscriber throws an error.
+ * @param topic     A topic reference.
+ * @param message   The message to publish.
+ * @return The number of subscribers the message was delivered to.
+ */
+SemoBus.prototype.publish = function( topic, message ) {
+    var target = resolveTopic( this, topic );
+    var subscribers = target.bus.topics[target.topic];
+    if( !subscribers ) {
+        return 0;
+    }
+    // Copy the list before delivering the message, as subscribers may unsubscribe
+    // when invoked.
+    subscribers = subscribers.slice();
+    subscribers.forEach(function deliver( subscriber ) {
+        subscriber( message, target.topic );
+    });
+    return subscribers.length;
+}
+
+/**
+ * Subscribe to messages published to a topic.
+ * @param topic     A topic reference; see publish().
+ * @param handler   A message handler function; called with the message and the
+ *                  topic name.
+ * @return A function for cancelling the subscription.
+ */
+SemoBus.prototype.subscribe = function( topic, handler ) {
+    var target = resolveTopic( this, topic );
+    var bus = target.bus;
+    function subscriber( message, topic ) {
+        try {
+            handler( message, topic );
+        }
+        catch( err ) {
+            bus.emit('message-error', err, topic );
+        }
+    }
+    var subscribers = bus.topics[target.topic];
+    if( subscribers ) {
+        subscribers.push( subscriber );
+    }
+    else {
+        bus.topics[target.topic] = [ subscriber ];
+    }
+    return function unsubscribe() {
+        var subscribers = bus.topics[target.topic];
+        var idx = subscribers ? subscribers.indexOf( subscriber ) : -1;
+        if( idx > -1 ) {
+            subscribers.splice( idx, 1 );
+            if( subscribers.length == 0 ) {
+                delete bus.topics[target.topic];
+            }
+        }
+    }
+}
+
+/**
+ * Send a request message to a component and wait for its reply.
+ * The request is passed to the component's receive() method, and the reply is the
+ * value returned by that method.
+ * @param ref       A reference to the component the request is being sent to. May
+ *                  be a dotted reference to a component on a child bus.
+ * @param message   The request message.
+ * @param timeout   Optional time, in ms, to wait for a reply. Defaults to 30s.
+ * @return A deferred promise resolving to the reply. The promise is rejected if the
+ *         component can't be found, doesn't accept requests, fails to handle the
+ *         request or doesn't reply within the timeout.
+ */
+SemoBus.prototype.request = function( ref, message, timeout ) {
+    var bus = this;
+    timeout = timeout||RequestTimeout;
+    var address = Array.isArray( ref ) ? ref.join('.') : ref;
+    return Q.fcall(function request() {
+        var component = bus.get( address );
+        if( typeof component.receive != 'function' ) {
+            throw new Error( mods.util.format("Component %s doesn't accept requests", address ) );
+        }
+        var name = address.split('.').pop();
+        return invoke( component, 'receive', [ message, name ])
+        .timeout( timeout, mods.util.format('Request to %s timed out after %dms', address, timeout ));
+    });
+}
+
 /**
  * Invoke a callback function once a named component is added.
- * Note: Doesn't support references to components on child buses.
+ * The name may be a dotted reference to a component on a child bus, and may contain
+ * glob patterns (e.g. 'workers.*'), in which case the callback is invoked for the
+ * first matching component only.
+ * @param name  A component reference.
+ * @param cb    A callback function; called with the full component name and the
+ *              bus event name.
+ * @return A function for cancelling the callback.
  */
 SemoBus.prototype.onceAdded = function( name, cb ) {
-    // If component already added then invoke the callback immediately;
-    if( this.components[name] ) {
-        process.nextTick(function added() {
-            cb( name, 'add');
-        });
-    }
-    // Otherwise listen for an 'add' event for the named component.
-    else this.addListener('add', name, cb );
+    return subscribe( this, 'add', name, cb, true );
 }
 
 /**
  * Invoke a callback function once a named component is started.
- * Note: Doesn't support references to components on child buses.
+ * The name may be a dotted reference to a component on a child bus, and may contain
+ * glob patterns (e.g. 'workers.*'), in which case the callback is invoked for the
+ * first matching component only.
+ * @param name  A component reference.
+ * @param cb    A callback function; called with the full component name and the
+ *              bus event name.
+ * @return A function for cancelling the callback.
  */
 SemoBus.prototype.onceStarted = function( name, cb ) {
-    // If started and component already added then invoke the callback now;
-    if( this.started && this.components[name] ) {
-        process.nextTick(function started() {
-            cb( name, 'start');
-        });
-    }
-    // Else listen for a 'start' event for the named component.
-    else this.addListener('start', name, cb );
+    return subscribe( this, 'start', name, cb, true );
+}
+
+/**
+ * Invoke a callback function each time a component matching a reference is added.
+ * The callback is invoked immediately for any matching components already on the bus.
+ * See onceAdded() for the reference format.
+ * @param name  A component reference.
+ * @param cb    A callback function; called with the full component name and the
+ *              bus event name.
+ * @return A function for cancelling the callback.
+ */
+SemoBus.prototype.onAdded = function( name, cb ) {
+    return subscribe( this, 'add', name, cb, false );
+}
+
+/**
+ * Invoke a callback function each time a component matching a reference is started.
+ * The callback is invoked immediately for any matching components already started.
+ * See onceStarted() for the reference format.
+ * @param name  A component reference.
+ * @param cb    A callback function; called with the full component name and the
+ *              bus event name.
+ * @return A function for cancelling the callback.
+ */
+SemoBus.prototype.onStarted = function( name, cb ) {
+    return subscribe( this, 'start', name, cb, false );
+}
+
+/**
+ * Create a new bus.
+ * @param components    A map of component names onto component definitions.
+ */
+module.exports = function( components ) {
+    return new SemoBus( components );
+}
+module.exports.SemoBus = SemoBus;
+
+/**
+ * Create a new bus from a configuration file.
+ * @param path  The path to a JSON or JS configuration file. See bus-loader.js for
+ *              a description of the file format.
+ * @param opts  Optional load options (see bus-loader.js).
+ */
+module.exports.load = function( path, opts ) {
+    return new SemoBus( mods.loader.load( path, opts ) );
 }
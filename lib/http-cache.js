@@ -0,0 +1,345 @@
+/**
+ * A HTTP response cache, for use by the HTTP client.
+ * Implements a private (i.e. single client) cache for GET and HEAD requests, following
+ * the caching rules of RFC 7234:
+ *
+ * - Response freshness is calculated from the Cache-Control max-age directive, or from
+ *   the Expires header, or else heuristically from the Last-Modified header.
+ * - Responses with a Cache-Control no-store directive aren't cached; responses with a
+ *   no-cache directive are cached, but must be revalidated before each use.
+ * - Responses are stored separately for each combination of the request header values
+ *   named in the response's Vary header.
+ * - Stale responses are revalidated using the ETag and Last-Modified response headers.
+ *
+ * Cached responses are stored in an LRU cache, bounded by the total size of the cached
+ * response bodies and optionally by the time since each response was last used. All
+ * variants of a response are stored in the same LRU cache group, keyed by request method
+ * and URL.
+ */
+var mods = {
+    lru:    require('./lru-cache')
+}
+
+// Default maximum total size, in bytes, of all cached responses.
+var DefaultMaxSize = 1024 * 1024 * 50;
+// Default maximum size, in bytes, of a single cached response.
+var DefaultMaxEntrySize = 1024 * 1024 * 5;
+// Response statuses which can be cached.
+var CacheableStatuses = [200, 203, 204, 300, 301, 404, 405, 410, 414, 501];
+
+/**
+ * Parse a Cache-Control header value.
+ * @param value A Cache-Control header value.
+ * @return A map of directive names onto directive values. Directives without a value
+ *         are mapped to true; numeric values are converted to numbers.
+ */
+function parseCacheControl( value ) {
+    var result = {};
+    if( value ) {
+        String( value ).split(',').forEach(function parse( directive ) {
+            var r = /^\s*([^=\s]+)\s*(?:=\s*"?([^"]*)"?)?\s*$/.exec( directive );
+            if( r ) {
+                var name = r[1].toLowerCase(), value = r[2];
+                if( value === undefined ) {
+                    result[name] = true;
+                }
+                else if( /^\d+$/.test( value ) ) {
+                    result[name] = Number( value );
+                }
+                else {
+                    result[name] = value;
+                }
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Read a request header, using a case-insensitive match on the header name.
+ */
+function requestHeader( headers, name ) {
+    name = name.toLowerCase();
+    for( var id in headers ) {
+        if( id.toLowerCase() == name ) {
+            return String( headers[id] );
+        }
+    }
+    return '';
+}
+
+/**
+ * Parse the header names listed in a Vary header.
+ * @return An array of lower case header names.
+ */
+function parseVary( value ) {
+    if( !value ) {
+        return [];
+    }
+    return String( value ).split(',')
+    .map(function trim( name ) {
+        return name.trim().toLowerCase();
+    })
+    .filter(function filter( name ) {
+        return name.length > 0;
+    })
+    .sort();
+}
+
+/**
+ * Calculate a response's freshness lifetime.
+ * @param headers   The response headers.
+ * @return The freshness lifetime, in ms.
+ */
+function freshnessLifetime( headers ) {
+    var cc = parseCacheControl( headers['cache-control'] );
+    if( cc['no-cache'] ) {
+        return 0;
+    }
+    if( typeof cc['max-age'] == 'number' ) {
+        return cc['max-age'] * 1000;
+    }
+    var date = Date.parse( headers.date );
+    if( isNaN( date ) ) {
+        date = Date.now();
+    }
+    if( headers.expires ) {
+        var expires = Date.parse( headers.expires );
+        return isNaN( expires ) ? 0 : Math.max( 0, expires - date );
+    }
+    if( headers['last-modified'] ) {
+        // Heuristic freshness; 10% of the time since the resource was last modified.
+        var lastModified = Date.parse( headers['last-modified'] );
+        return isNaN( lastModified ) ? 0 : Math.max( 0, (date - lastModified) / 10 );
+    }
+    return 0;
+}
+
+/**
+ * A HTTP response cache.
+ * @param opts  Cache options:
+ *              @property maxSize       The maximum total size, in bytes, of all cached
+ *                                      responses. Defaults to 50MB.
+ *              @property maxEntrySize  The maximum size, in bytes, of a single cached
+ *                                      response. Defaults to 5MB.
+ *              @property maxAge        The maximum time, in ms, a response is kept in the
+ *                                      cache after it was last used (optional).
+ *              @property methods       The request methods whose responses are cached.
+ *                                      Defaults to GET and HEAD.
+ */
+function HttpCache( opts ) {
+    opts = opts||{};
+    this.maxEntrySize = opts.maxEntrySize||DefaultMaxEntrySize;
+    this.methods = opts.methods||['GET', 'HEAD'];
+    this.cache = mods.lru.createWithMaxSize( opts.maxSize||DefaultMaxSize, { maxAge: opts.maxAge });
+    this.resetStats();
+}
+
+/**
+ * Test whether responses to a request method are cached.
+ */
+HttpCache.prototype.caches = function( method ) {
+    return this.methods.indexOf( method ) > -1;
+}
+
+/**
+ * Reset the cache statistics.
+ */
+HttpCache.prototype.resetStats = function() {
+    this._stats = {
+        // Number of requests served from the cache without revalidation.
+        hits:           0,
+        // Number of requests not found in the cache, or whose cached response was out of date.
+        misses:         0,
+        // Number of stale responses successfully revalidated (i.e. 304 Not Modified).
+        revalidations:  0,
+        // Number of responses added to the cache.
+        stores:         0
+    };
+}
+
+/**
+ * Return a copy of the cache statistics.
+ */
+HttpCache.prototype.stats = function() {
+    var stats = {};
+    for( var id in this._stats ) {
+        stats[id] = this._stats[id];
+    }
+    return stats;
+}
+
+/**
+ * Look up a cached response.
+ * @param method    The request method; 'GET' or 'HEAD'.
+ * @param url       The request URL.
+ * @param headers   The request headers, used to select a response variant.
+ * @return The cached response entry, or undefined if no matching response is cached.
+ */
+HttpCache.prototype.lookup = function( method, url, headers ) {
+    var group = method+' '+url;
+    var items = this.cache.group( group );
+    var entry;
+    for( var id in items ) {
+        var candidate = items[id].data;
+        // Note that has() excludes responses which have exceeded the cache's maxAge.
+        if( candidate && candidate.varyKey == this.varyKey( candidate.vary, headers )
+            && this.cache.has( this.cache.key( id, group ) ) ) {
+            entry = candidate;
+            break;
+        }
+    }
+    if( entry ) {
+        // Touch the entry so that it becomes the most recently used.
+        this.cache.get( this.cache.key( entry.varyKey, group ) );
+    }
+    return entry;
+}
+
+/**
+ * Calculate the key of a response variant.
+ * @param vary      The lower case names of the headers the response varies on.
+ * @param headers   The request headers.
+ */
+HttpCache.prototype.varyKey = function( vary, headers ) {
+    // Note that the key is never empty, as an empty ID refers to the whole group.
+    return 'vary:'+vary.map(function value( name ) {
+        return name+'='+requestHeader( headers, name );
+    }).join('&');
+}
+
+/**
+ * Test whether a cached response entry is fresh.
+ */
+HttpCache.prototype.isFresh = function( entry ) {
+    return this.age( entry ) < entry.lifetime;
+}
+
+/**
+ * Calculate the current age, in ms, of a cached response entry.
+ */
+HttpCache.prototype.age = function( entry ) {
+    return entry.initialAge + (Date.now() - entry.time);
+}
+
+/**
+ * Record a cache hit.
+ * @param revalidated   True if the hit was the result of a successful revalidation.
+ */
+HttpCache.prototype.hit = function( revalidated ) {
+    if( revalidated ) {
+        this._stats.revalidations++;
+    }
+    else {
+        this._stats.hits++;
+    }
+}
+
+/**
+ * Record a cache miss.
+ */
+HttpCache.prototype.miss = function() {
+    this._stats.misses++;
+}
+
+/**
+ * Store a response in the cache, if the response is cacheable.
+ * @param method        The request method; 'GET' or 'HEAD'.
+ * @param url           The request URL.
+ * @param reqHeaders    The request headers.
+ * @param statusCode    The response status code.
+ * @param headers       The response headers.
+ * @param body          The response body, as a Buffer.
+ * @return The cache entry, or undefined if the response can't be cached.
+ */
+HttpCache.prototype.store = function( method, url, reqHeaders, statusCode, headers, body ) {
+    var cc = parseCacheControl( headers['cache-control'] );
+    if( cc['no-store'] || CacheableStatuses.indexOf( statusCode ) < 0 ) {
+        return undefined;
+    }
+    var vary = parseVary( headers.vary );
+    if( vary.indexOf('*') > -1 ) {
+        return undefined;
+    }
+    // Size includes an estimate of the header size, so that HEAD responses are bounded too.
+    var size = (body ? body.length : 0) + JSON.stringify( headers ).length;
+    if( size > this.maxEntrySize ) {
+        return undefined;
+    }
+    var entry = {
+        statusCode: statusCode,
+        headers:    {},
+        body:       body,
+        vary:       vary,
+        varyKey:    this.varyKey( vary, reqHeaders )
+    };
+    // Note that refresh() copies the response headers into the entry.
+    this.refresh( entry, headers );
+    var group = method+' '+url;
+    // Replace any variants with a different set of vary headers, as these are now out of date.
+    var items = this.cache.group( group );
+    for( var id in items ) {
+        var item = items[id].data;
+        if( item && item.vary.join() != vary.join() ) {
+            this.cache.remove( this.cache.key( id, group ) );
+        }
+    }
+    this.cache.add( entry, this.cache.key( entry.varyKey, group ), size );
+    this._stats.stores++;
+    return entry;
+}
+
+/**
+ * Refresh a cache entry's freshness following a successful revalidation.
+ * @param entry     A cache entry.
+ * @param headers   The headers of the revalidation (i.e. 304 Not Modified) response.
+ */
+HttpCache.prototype.refresh = function( entry, headers ) {
+    var merged = {};
+    for( var id in entry.headers ) {
+        merged[id] = entry.headers[id];
+    }
+    for( var id in headers ) {
+        merged[id] = headers[id];
+    }
+    entry.headers = merged;
+    entry.time = Date.now();
+    entry.initialAge = (Number( entry.headers.age )||0) * 1000;
+    entry.lifetime = freshnessLifetime( entry.headers );
+}
+
+/**
+ * Add validation headers for a cached response entry to a set of request headers.
+ * @param entry     A cache entry.
+ * @param headers   The request headers to modify.
+ * @return true if validation headers were added.
+ */
+HttpCache.prototype.addValidators = function( entry, headers ) {
+    var etag = entry.headers.etag;
+    var lastModified = entry.headers['last-modified'];
+    if( etag ) {
+        headers['If-None-Match'] = etag;
+    }
+    if( lastModified ) {
+        headers['If-Modified-Since'] = lastModified;
+    }
+    return !!(etag || lastModified);
+}
+
+/**
+ * Invalidate all cached GET and HEAD responses for a URL.
+ */
+HttpCache.prototype.invalidate = function( url ) {
+    this.cache.remove( this.cache.key('GET '+url ) );
+    this.cache.remove( this.cache.key('HEAD '+url ) );
+}
+
+exports.parseCacheControl = parseCacheControl;
+
+/**
+ * Create a new HTTP response cache.
+ * @param opts  Cache options; see HttpCache.
+ */
+exports.create = function( opts ) {
+    return new HttpCache( opts );
+}
@@ -0,0 +1,115 @@
+/**
+ * Errors returned by the HTTP client.
+ *
+ * HttpError
+ * + HttpStatusError:   The server returned an unsuccessful response status.
+ * + RedirectError:     The request was redirected too many times.
+ * + CancelError:       The request was cancelled whilst queued.
+ * + NetworkError:      The request failed because of a network or connection error.
+ *   + TimeoutError:    The request failed because it timed out.
+ */
+var format = require('util').format;
+var mods = {
+    http:   require('http'),
+    util:   require('util')
+}
+
+/**
+ * Base class of all HTTP client errors.
+ * @param message   The error message.
+ * @param url       The request URL.
+ */
+function HttpError( message, url ) {
+    Error.call( this );
+    Error.captureStackTrace( this, this.constructor );
+    this.name = this.constructor.name;
+    this.message = message;
+    this.url = url;
+}
+mods.util.inherits( HttpError, Error );
+
+/**
+ * An unsuccessful HTTP response status.
+ * @param status    The response status code.
+ * @param headers   The response headers.
+ * @param body      The decoded response body, if any.
+ * @param url       The request URL.
+ */
+function HttpStatusError( status, headers, body, url ) {
+    HttpError.call( this, format('%d : %s', status, mods.http.STATUS_CODES[status] ), url );
+    this.status = status;
+    this.headers = headers;
+    this.body = body;
+}
+mods.util.inherits( HttpStatusError, HttpError );
+
+/**
+ * A redirect which can't be followed.
+ * @param message   The error message.
+ * @param url       The request URL.
+ */
+function RedirectError( message, url ) {
+    HttpError.call( this, message, url );
+}
+mods.util.inherits( RedirectError, HttpError );
+
+/**
+ * A request cancelled before it was sent.
+ * @param message   The error message.
+ * @param url       The request URL.
+ */
+function CancelError( message, url ) {
+    HttpError.call( this, message, url );
+}
+mods.util.inherits( CancelError, HttpError );
+
+/**
+ * A network or connection error.
+ * @param err   The underlying error.
+ * @param url   The request URL.
+ */
+function NetworkError( err, url ) {
+    HttpError.call( this, err.message, url );
+    this.code = err.code;
+    this.cause = err;
+}
+mods.util.inherits( NetworkError, HttpError );
+
+/**
+ * A request timeout.
+ * The timeout property gives the type of timeout - 'connect', 'idle' or 'total' - if
+ * the timeout was raised by the client.
+ * @param err   The underlying error.
+ * @param url   The request URL.
+ */
+function TimeoutError( err, url ) {
+    NetworkError.call( this, err, url );
+    this.timeout = err.timeout;
+}
+mods.util.inherits( TimeoutError, NetworkError );
+
+// Network error codes which indicate a timeout.
+var TimeoutCodes = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Wrap an error raised by a client request in a NetworkError or TimeoutError.
+ * @param err   The request error.
+ * @param url   The request URL.
+ */
+function networkError( err, url ) {
+    if( err instanceof HttpError ) {
+        return err;
+    }
+    if( TimeoutCodes.indexOf( err.code ) > -1 ) {
+        return new TimeoutError( err, url );
+    }
+    return new NetworkError( err, url );
+}
+
+exports.HttpError = HttpError;
+exports.HttpStatusError = HttpStatusError;
+exports.RedirectError = RedirectError;
+exports.CancelError = CancelError;
+exports.NetworkError = NetworkError;
+exports.TimeoutError = TimeoutError;
+exports.networkError = networkError;
@@ -0,0 +1,82 @@
+/**
+ * Built-in middleware for the HTTP client. Middleware is added to a client using the
+ * middleware client option, e.g.
+ *
+ *   http.client({ middleware: [ http.middleware.bearer( token ), http.middleware.log() ] });
+ *
+ * Middleware functions are called in order; see the client's dispatch() function for
+ * details of the middleware function interface.
+ */
+var Log = require('log4js').getLogger('semo.utils.http');
+var Q = require('q');
+
+/**
+ * Set a request header, unless the request already has a header with the same name.
+ */
+function defaultHeader( headers, name, value ) {
+    var lname = name.toLowerCase();
+    for( var id in headers ) {
+        if( id.toLowerCase() == lname ) {
+            return;
+        }
+    }
+    headers[name] = value;
+}
+
+/**
+ * Bearer token authentication. Adds an Authorization header to requests which don't
+ * already have one.
+ * @param token A token string; or a function returning a token, or a promise resolving
+ *              to a token. The function is called for each request, so can be used to
+ *              refresh expired tokens.
+ */
+exports.bearer = function( token ) {
+    return function bearer( req, next ) {
+        return Q( typeof token == 'function' ? token() : token )
+        .then(function auth( value ) {
+            defaultHeader( req.headers, 'Authorization', 'Bearer '+value );
+            return next( req );
+        });
+    }
+}
+
+/**
+ * Basic authentication. Adds an Authorization header to requests which don't already
+ * have one.
+ * @param username  The username.
+ * @param password  The password.
+ */
+exports.basic = function( username, password ) {
+    var credentials = new Buffer( username+':'+password ).toString('base64');
+    return function basic( req, next ) {
+        defaultHeader( req.headers, 'Authorization', 'Basic '+credentials );
+        return next( req );
+    }
+}
+
+/**
+ * Request logging. Logs the method, URL, response status and elapsed time of each
+ * request. Server errors (5xx statuses) are logged as warnings, and failed requests
+ * as errors.
+ * @param opts  Optional logging options:
+ *              @property logger    A log4js logger. Defaults to the HTTP client's logger.
+ *              @property level     The log level for completed requests. Defaults to 'info'.
+ */
+exports.log = function( opts ) {
+    opts = opts||{};
+    var logger = opts.logger||Log;
+    var level = opts.level||'info';
+    return function log( req, next ) {
+        var t0 = Date.now();
+        return next( req )
+        .then(function response( res ) {
+            var status = res.statusCode;
+            logger[status >= 500 ? 'warn' : level]('%s %s %d %dms', req.method, req.url, status, Date.now() - t0 );
+            return res;
+        },
+        function error( err ) {
+            logger.error('%s %s %s %dms', req.method, req.url, err, Date.now() - t0 );
+            throw err;
+        });
+    }
+}
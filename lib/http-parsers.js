@@ -0,0 +1,178 @@
+/**
+ * Response body parsers, for use by the HTTP client.
+ *
+ * A parser is a function which converts a response body into a result value, and is
+ * called as parser( buffer, contentType, url ), where buffer contains the (decompressed)
+ * response body, contentType is the parsed Content-Type header (see parseContentType())
+ * and url is the request URL.
+ *
+ * Parsers are selected using a map of media type patterns onto parsers. A media type is
+ * matched against the following patterns, in order:
+ *
+ * - The exact media type, e.g. application/vnd.api+json;
+ * - A structured syntax suffix, e.g. *\/*+json;
+ * - A type wildcard, e.g. application/*;
+ * - The catch all wildcard, *\/*.
+ */
+var Log = require('log4js').getLogger('semo.utils.http-parsers');
+
+// Aliases of charset names onto node.js Buffer encodings.
+var Charsets = {
+    'utf-8':        'utf8',
+    'utf8':         'utf8',
+    'us-ascii':     'ascii',
+    'ascii':        'ascii',
+    'iso-8859-1':   'binary',
+    'latin1':       'binary',
+    'utf-16le':     'ucs2',
+    'ucs-2':        'ucs2'
+};
+
+/**
+ * Parse a Content-Type header value.
+ * @param value A Content-Type header value.
+ * @return An object with a type property, containing the lower case media type (or
+ *         an empty string if not set); a charset property, containing the lower case
+ *         charset parameter (if any); and a params property, containing all parameters.
+ */
+function parseContentType( value ) {
+    var parts = String( value||'').split(';');
+    var params = {};
+    parts.slice( 1 ).forEach(function param( part ) {
+        var r = /^\s*([^=\s]+)\s*=\s*"?([^"]*)"?\s*$/.exec( part );
+        if( r ) {
+            params[r[1].toLowerCase()] = r[2];
+        }
+    });
+    return {
+        type:       parts[0].trim().toLowerCase(),
+        charset:    params.charset && params.charset.toLowerCase(),
+        params:     params
+    };
+}
+
+/**
+ * Swap the byte order of a UTF-16 buffer.
+ */
+function swapBytes( buffer ) {
+    var result = new Buffer( buffer.length - (buffer.length % 2) );
+    for( var i = 0; i < result.length; i += 2 ) {
+        result[i] = buffer[i + 1];
+        result[i + 1] = buffer[i];
+    }
+    return result;
+}
+
+/**
+ * Decode text using a charset. Unsupported charsets are decoded as UTF-8.
+ * Text is checked for a leading BOM, which is removed.
+ * @param buffer    A buffer containing the encoded text.
+ * @param charset   The lower case charset name (optional; defaults to UTF-8).
+ * @param url       The request URL.
+ */
+function decodeText( buffer, charset, url ) {
+    var text;
+    if( charset == 'utf-16be' || (charset == 'utf-16' && !(buffer[0] == 0xFF && buffer[1] == 0xFE)) ) {
+        // UTF-16 is big endian unless the BOM indicates otherwise.
+        text = swapBytes( buffer ).toString('ucs2');
+    }
+    else if( charset == 'utf-16' ) {
+        text = buffer.toString('ucs2');
+    }
+    else {
+        var encoding = Charsets[charset||'utf-8'];
+        if( !encoding ) {
+            Log.warn('Unsupported charset %s in %s response, decoding as UTF-8', charset, url );
+            encoding = 'utf8';
+        }
+        text = buffer.toString( encoding );
+    }
+    // Check for BOM (http://en.wikipedia.org/wiki/Byte_Order_Mark) at start of text
+    // - the node.js JSON parser will reject it.
+    if( text.charCodeAt( 0 ) == 65279 ) {
+        Log.warn('Removing BOM from %s response...', url );
+        text = text.substring( 1 );
+    }
+    return text;
+}
+
+/**
+ * Parse a JSON body. An empty body is returned as an empty string.
+ */
+function json( buffer, contentType, url ) {
+    var text = decodeText( buffer, contentType.charset, url );
+    return text.length > 0 ? JSON.parse( text ) : text;
+}
+
+/**
+ * Parse a text body.
+ */
+function text( buffer, contentType, url ) {
+    return decodeText( buffer, contentType.charset, url );
+}
+
+/**
+ * Parse a binary body. The body is returned as a Buffer.
+ */
+function binary( buffer ) {
+    return buffer;
+}
+
+// The default parsers.
+var Defaults = {
+    'application/json':         json,
+    '*/*+json':                 json,
+    'text/*':                   text,
+    'application/octet-stream': binary,
+    'application/pdf':          binary,
+    'application/zip':          binary,
+    'application/gzip':         binary,
+    'application/x-gzip':       binary,
+    'application/x-tar':        binary,
+    'application/x-gtar':       binary,
+    'image/*':                  binary,
+    'audio/*':                  binary,
+    'video/*':                  binary,
+    '*/*':                      text
+};
+
+/**
+ * Make a map of parsers.
+ * @param parsers   A map of media type patterns onto parsers, which is merged over the
+ *                  default parsers (optional).
+ */
+function make( parsers ) {
+    var result = {};
+    for( var id in Defaults ) {
+        result[id] = Defaults[id];
+    }
+    for( var id in parsers ) {
+        result[id.toLowerCase()] = parsers[id];
+    }
+    return result;
+}
+
+/**
+ * Find the parser for a media type.
+ * @param parsers   A map of media type patterns onto parsers.
+ * @param type      A lower case media type.
+ * @return The matching parser; bodies with no matching parser are returned as text.
+ */
+function find( parsers, type ) {
+    var suffix = /\+[^+\/]+$/.exec( type );
+    var patterns = [ type, suffix && '*/*'+suffix[0], type.split('/')[0]+'/*', '*/*' ];
+    for( var i = 0; i < patterns.length; i++ ) {
+        if( patterns[i] && parsers[patterns[i]] ) {
+            return parsers[patterns[i]];
+        }
+    }
+    return text;
+}
+
+exports.parseContentType = parseContentType;
+exports.decodeText = decodeText;
+exports.json = json;
+exports.text = text;
+exports.binary = binary;
+exports.make = make;
+exports.find = find;
@@ -2,145 +2,1510 @@ var Log = require('log4js').getLogger('semo.utils.http');
 var Q = require('q');
 var format = require('util').format;
 var mods = {
-    agent:  require('agentkeepalive'),
-    http:   require('http'),
-    lru:    require('./lru-cache'),
-    url:    require('url')
+    agent:      require('agentkeepalive'),
+    cache:      require('./http-cache'),
+    errors:     require('./http-errors'),
+    fs:         require('fs'),
+    http:       require('http'),
+    https:      require('https'),
+    middleware: require('./http-middleware'),
+    parsers:    require('./http-parsers'),
+    qs:         require('querystring'),
+    semaphore:  require('./semaphore'),
+    shareMutex: require('./share-mutex'),
+    stream:     require('stream'),
+    url:        require('url'),
+    zlib:       require('zlib')
 }
 
-var agent = new mods.agent({
-    keepAlive: true,
-    keepAliveMsecs: 30000
-});
+// Names of the TLS options which can be passed to a client.
+var TLSOptions = ['ca', 'cert', 'key', 'passphrase', 'pfx', 'rejectUnauthorized'];
+
+/**
+ * Create the transports used by a client. Each client has its own keep-alive agents,
+ * so that different clients can have different socket pools.
+ * @param opts  Client options.
+ * @return A map of URL protocols onto transports. Each transport has a module property
+ *         (the node.js http or https module), an agent property and a tls property
+ *         containing the TLS options for each request.
+ */
+function makeTransports( opts ) {
+    var agentOpts = {
+        keepAlive: true,
+        keepAliveMsecs: opts.keepAliveMsecs||30000
+    };
+    if( opts.maxSockets ) {
+        agentOpts.maxSockets = opts.maxSockets;
+    }
+    var tls = {}, httpsAgentOpts = {};
+    TLSOptions.forEach(function copy( name ) {
+        if( opts.tls && opts.tls[name] !== undefined ) {
+            tls[name] = opts.tls[name];
+        }
+    });
+    for( var id in agentOpts ) {
+        httpsAgentOpts[id] = agentOpts[id];
+    }
+    for( var id in tls ) {
+        httpsAgentOpts[id] = tls[id];
+    }
+    return {
+        'http:': {
+            module: mods.http,
+            agent:  new mods.agent( agentOpts ),
+            tls:    {}
+        },
+        'https:': {
+            module: mods.https,
+            agent:  new mods.agent.HttpsAgent( httpsAgentOpts ),
+            tls:    tls
+        }
+    };
+}
 
 /**
  * Create an HTTP request options object.
+ * The request transport is selected using the URL's protocol. The request headers are
+ * copied, so that the caller's headers object isn't modified.
  */
-function httpOpts( method, url, headers ) {
+function httpOpts( method, url, headers, transports ) {
     var opts = mods.url.parse( url );
+    var transport = transports[opts.protocol];
+    if( !transport ) {
+        throw new Error( format('Unsupported URL protocol: %s', url ) );
+    }
     opts.path = opts.pathname+(opts.search||'');
     opts.method = method;
-    opts.agent = agent;
-    opts.headers = headers||{};
-    if( !opts.headers.Accept ) {
-        opts.headers.Accept = 'application/json';
+    opts.agent = transport.agent;
+    for( var id in transport.tls ) {
+        opts[id] = transport.tls[id];
+    }
+    opts.headers = {};
+    for( var id in headers ) {
+        opts.headers[id] = headers[id];
     }
     return opts;
 }
 
+/**
+ * Test whether a value is a readable stream.
+ */
+function isStream( value ) {
+    return !!value && typeof value.pipe == 'function';
+}
+
+/**
+ * Find a request header, using a case-insensitive match on the header name.
+ * @return The header value, or undefined if the header isn't set.
+ */
+function getHeader( headers, name ) {
+    name = name.toLowerCase();
+    for( var id in headers ) {
+        if( id.toLowerCase() == name ) {
+            return headers[id];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Remove a request header, using a case-insensitive match on the header name.
+ */
+function deleteHeader( headers, name ) {
+    name = name.toLowerCase();
+    for( var id in headers ) {
+        if( id.toLowerCase() == name ) {
+            delete headers[id];
+        }
+    }
+}
+
+/**
+ * Return a URL's origin, i.e. its protocol, host name and port.
+ */
+function urlOrigin( url ) {
+    var opts = mods.url.parse( url );
+    return opts.protocol+'//'+opts.host;
+}
+
+/**
+ * Encode a request body.
+ * Buffers, strings and streams are sent as is. Other values are encoded as JSON, or as
+ * application/x-www-form-urlencoded data if the form option is true. A content-type
+ * header is added to the request headers if not already set.
+ * @param body      The request body.
+ * @param headers   The request headers.
+ * @param form      If true, then form encode the body.
+ * @return The encoded body; a Buffer, or a readable stream.
+ */
+function encodeBody( body, headers, form ) {
+    var contentType;
+    if( isStream( body ) || Buffer.isBuffer( body ) ) {
+        contentType = 'application/octet-stream';
+    }
+    else if( typeof body == 'string' ) {
+        contentType = 'text/plain; charset=utf-8';
+        body = new Buffer( body );
+    }
+    else if( form ) {
+        contentType = 'application/x-www-form-urlencoded';
+        body = new Buffer( mods.qs.stringify( body ) );
+    }
+    else {
+        contentType = 'application/json';
+        body = new Buffer( JSON.stringify( body ) );
+    }
+    if( !getHeader( headers, 'Content-Type') ) {
+        headers['Content-Type'] = contentType;
+    }
+    if( Buffer.isBuffer( body ) && !getHeader( headers, 'Content-Length') ) {
+        headers['Content-Length'] = body.length;
+    }
+    return body;
+}
+
+/**
+ * Read a response body.
+ * @param res   A HTTP response.
+ * @param url   The request URL.
+ * @return A deferred promise resolving to a Buffer containing the response body.
+ */
+function readBody( res, url ) {
+    var dp = Q.defer();
+    var buffer = [];
+    res.on('data', function( chunk ) {
+        buffer.push( chunk );
+    });
+    res.on('end', function() {
+        dp.resolve( Buffer.concat( buffer ) );
+    });
+    res.on('error', function( err ) {
+        dp.reject( mods.errors.networkError( err, url ) );
+    });
+    return dp.promise;
+}
+
+/**
+ * Normalize a Content-Encoding header value.
+ * @return 'gzip' or 'deflate' if the response is compressed using a supported encoding;
+ *         otherwise undefined.
+ */
+function compression( value ) {
+    value = String( value||'').trim().toLowerCase();
+    if( value == 'gzip' || value == 'x-gzip' ) {
+        return 'gzip';
+    }
+    if( value == 'deflate' ) {
+        return 'deflate';
+    }
+    return undefined;
+}
+
+/**
+ * Decompress a response body.
+ * @param buffer    A Buffer containing the response body.
+ * @param headers   The response headers.
+ * @param url       The request URL.
+ * @return A deferred promise resolving to a Buffer containing the decompressed body.
+ */
+function decompress( buffer, headers, url ) {
+    var encoding = compression( headers['content-encoding'] );
+    if( !encoding || buffer.length == 0 ) {
+        return Q( buffer );
+    }
+    // Note that unzip detects both gzip and zlib (deflate) headers.
+    return Q.nfcall( mods.zlib.unzip, buffer )
+    .fail(function raw( err ) {
+        // Some servers send raw deflate data without a zlib header.
+        if( encoding == 'deflate' ) {
+            return Q.nfcall( mods.zlib.inflateRaw, buffer );
+        }
+        throw err;
+    })
+    .fail(function fail( err ) {
+        throw new mods.errors.HttpError( format('Error decompressing %s response: %s', encoding, err.message ), url );
+    });
+}
+
+/**
+ * Decode a response body, using the parser matching the response's media type.
+ * @param buffer    A Buffer containing the response body.
+ * @param headers   The response headers.
+ * @param url       The request URL.
+ * @param parsers   A map of media type patterns onto body parsers; see http-parsers.js.
+ * @return An [ data, mimeType, headers ] array.
+ */
+function decodeBody( buffer, headers, url, parsers ) {
+    var mimeType = headers['content-type'];
+    var contentType = mods.parsers.parseContentType( mimeType );
+    var parser = mods.parsers.find( parsers, contentType.type );
+    return [ parser( buffer, contentType, url ), mimeType, headers ];
+}
+
+/**
+ * Make a status error for an unsuccessful response.
+ * @param res       A response object with statusCode, headers and body properties.
+ * @param url       The request URL.
+ * @param parsers   The body parsers; see decodeBody().
+ * @return A HttpStatusError, with the decoded response body if possible.
+ */
+function statusError( res, url, parsers ) {
+    var data;
+    try {
+        data = decodeBody( res.body, res.headers, url, parsers )[0];
+    }
+    catch( e ) {
+        data = res.body;
+    }
+    return new mods.errors.HttpStatusError( res.statusCode, res.headers, data, url );
+}
+
+/**
+ * Copy a response object. The headers and body are copied, so that changes made to the
+ * copy don't affect the original.
+ * @param res   A response object with statusCode, headers and body properties.
+ */
+function copyResponse( res ) {
+    var headers = {};
+    for( var id in res.headers ) {
+        headers[id] = res.headers[id];
+    }
+    var body = res.body;
+    if( Buffer.isBuffer( body ) ) {
+        body = new Buffer( body.length );
+        res.body.copy( body );
+    }
+    return {
+        statusCode: res.statusCode,
+        headers:    headers,
+        body:       body
+    };
+}
+
+/**
+ * Make a stream for reading a response body.
+ * The stream counts the bytes read, reporting progress if required, and emits an error
+ * if the number of bytes read doesn't match the response's Content-Length header.
+ * @param res       A streamed response object, with headers and body properties; the body
+ *                  is a readable stream.
+ * @param offset    The offset of the response body within the complete resource; non
+ *                  zero when reading a partial (i.e. range) response.
+ * @param progress  An optional progress callback, called as progress( received, total ),
+ *                  where total is undefined if the total length isn't known.
+ * @param url       The request URL.
+ * @return A readable stream.
+ */
+function bodyStream( res, offset, progress, url ) {
+    var length = res.headers['content-length'];
+    var expected = length === undefined ? undefined : Number( length );
+    var total = expected === undefined ? undefined : offset + expected;
+    var received = 0;
+    var stream = new mods.stream.Transform();
+    stream._transform = function( chunk, encoding, cb ) {
+        received += chunk.length;
+        if( progress ) {
+            progress( offset + received, total );
+        }
+        cb( null, chunk );
+    };
+    stream._flush = function( cb ) {
+        if( expected !== undefined && received != expected ) {
+            var err = new Error( format('Received %d bytes, expected Content-Length %d', received, expected ) );
+            err.code = 'ECONTENTLENGTH';
+            cb( mods.errors.networkError( err, url ) );
+        }
+        else {
+            cb();
+        }
+    };
+    res.body.on('error', function( err ) {
+        stream.emit('error', mods.errors.networkError( err, url ) );
+    });
+    res.body.pipe( stream );
+    return stream;
+}
+
+/**
+ * Parse the start position from a Content-Range header.
+ * @return The start position, or undefined if the header value can't be parsed.
+ */
+function contentRangeStart( value ) {
+    var r = /^bytes\s+(\d+)-\d+\/(?:\d+|\*)$/.exec( value||'' );
+    return r ? Number( r[1] ) : undefined;
+}
+
+// HTTP methods which invalidate cached responses.
+var UnsafeMethods = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Default request retry policy.
+var RetryDefaults = {
+    // The maximum number of retries.
+    retries:    3,
+    // Network error codes which can be retried.
+    errors:     ['ECONNRESET', 'ETIMEDOUT', 'EPIPE'],
+    // HTTP response statuses which can be retried.
+    statuses:   [429, 502, 503, 504],
+    // The delay, in ms, before the first retry.
+    minDelay:   100,
+    // The maximum delay, in ms, between retries.
+    maxDelay:   10000,
+    // The factor the delay is multiplied by after each retry.
+    factor:     2,
+    // The maximum time, in ms, to spend on a request, including all retries.
+    maxElapsed: 60000
+};
+
+/**
+ * Make a client's retry policy.
+ * @param opts  Client options. The retry property (if any) is merged over the default
+ *              retry policy; the retryCount property is supported for compatibility.
+ */
+function makeRetryPolicy( opts ) {
+    var policy = {};
+    for( var id in RetryDefaults ) {
+        policy[id] = RetryDefaults[id];
+    }
+    if( opts.retryCount !== undefined ) {
+        policy.retries = opts.retryCount;
+    }
+    for( var id in opts.retry ) {
+        policy[id] = opts.retry[id];
+    }
+    return policy;
+}
+
+/**
+ * Calculate the delay before a retry, using exponential backoff with jitter.
+ * @param policy    A retry policy.
+ * @param retry     The retry number, starting from zero.
+ * @return A delay in ms.
+ */
+function retryDelay( policy, retry ) {
+    var delay = Math.min( policy.minDelay * Math.pow( policy.factor, retry ), policy.maxDelay );
+    // Use half the calculated delay, plus a random amount up to the other half.
+    return Math.round( delay / 2 + Math.random() * delay / 2 );
+}
+
+/**
+ * Parse a Retry-After header value.
+ * @param value A number of seconds, or a HTTP date.
+ * @return A delay in ms, or undefined if the value isn't set or can't be parsed.
+ */
+function parseRetryAfter( value ) {
+    if( !value ) {
+        return undefined;
+    }
+    if( /^\s*\d+\s*$/.test( value ) ) {
+        return Number( value ) * 1000;
+    }
+    var date = Date.parse( value );
+    return isNaN( date ) ? undefined : Math.max( 0, date - Date.now() );
+}
+
+// Default request timeouts, in ms. A zero value disables a timeout.
+var TimeoutDefaults = {
+    // The maximum time to wait for a connection to be established.
+    connect:    10000,
+    // The maximum time a socket can be idle while waiting for the response.
+    idle:       60000,
+    // The maximum time for the whole request, including any redirects and retries.
+    total:      0
+};
+
+// Network error codes reported for each type of timeout.
+var TimeoutCodes = {
+    connect:    'ETIMEDOUT',
+    idle:       'ESOCKETTIMEDOUT',
+    total:      'ETIMEDOUT'
+};
+
+/**
+ * Make a set of request timeouts.
+ * @param base  The base timeouts.
+ * @param value Either a map of timeout types onto times, which is merged over the base
+ *              timeouts; or a number, which is used as the total timeout.
+ */
+function makeTimeouts( base, value ) {
+    var timeouts = {};
+    for( var id in base ) {
+        timeouts[id] = base[id];
+    }
+    if( typeof value == 'number' ) {
+        timeouts.total = value;
+    }
+    else {
+        for( var id in value ) {
+            timeouts[id] = value[id];
+        }
+    }
+    return timeouts;
+}
+
+/**
+ * Make a request timeout error.
+ * @param type  The type of timeout; 'connect', 'idle' or 'total'.
+ * @param time  The timeout, in ms.
+ * @param url   The request URL.
+ */
+function timeoutError( type, time, url ) {
+    var err = new Error( format('Request %s timeout after %dms', type, time ) );
+    err.code = TimeoutCodes[type];
+    err.timeout = type;
+    return new mods.errors.TimeoutError( err, url );
+}
+
+// Default maximum number of redirects to follow.
+var MaxRedirects = 5;
+// Response statuses which are followed as redirects.
+var RedirectStatuses = [301, 302, 303, 307, 308];
+// Request headers removed when a request is redirected to a different origin.
+var CredentialHeaders = ['Authorization', 'Cookie', 'Proxy-Authorization'];
+
+/**
+ * Make the response cache options for a client.
+ * @param opts  The client options.
+ */
+function cacheOptions( opts ) {
+    var cacheOpts = {
+        // GET responses are only cached if caching is explicitly enabled.
+        methods: opts.cache ? ['GET', 'HEAD'] : ['HEAD'],
+        maxAge:  opts.headCacheMaxAge
+    };
+    if( typeof opts.cache == 'object' ) {
+        for( var id in opts.cache ) {
+            cacheOpts[id] = opts.cache[id];
+        }
+    }
+    return cacheOpts;
+}
+
+/**
+ * Create a HTTP client.
+ * @param opts  Optional client options:
+ *              @property onFailure     What to do when a request fails with a network error
+ *                                      (after any retries): 'resolve' (the default) resolves
+ *                                      the request promise with an undefined result; 'reject'
+ *                                      rejects the promise with a NetworkError. Requests
+ *                                      which time out are always rejected with a TimeoutError,
+ *                                      and requests returning an unsuccessful response status
+ *                                      are always rejected with a HttpStatusError.
+ *              @property redirects     The maximum number of redirects to follow. Defaults
+ *                                      to 5; zero disables redirect following, in which case
+ *                                      redirect responses are rejected as status errors.
+ *              @property timeout       Request timeouts, in ms, as a map with any of the
+ *                                      following properties, or a number giving the total
+ *                                      timeout. A zero value disables a timeout.
+ *                                      @property connect   Time to establish a connection.
+ *                                                          Defaults to 10s.
+ *                                      @property idle      Time the socket can be idle
+ *                                                          while waiting for the response.
+ *                                                          Defaults to 60s.
+ *                                      @property total     Time for the whole request,
+ *                                                          including any redirects and
+ *                                                          retries. Disabled by default.
+ *              @property decompress    If true (the default) then request compressed responses
+ *                                      using the Accept-Encoding header, and transparently
+ *                                      decompress gzip and deflate response bodies. Note
+ *                                      that response headers are returned unchanged.
+ *              @property parsers       A map of media type patterns onto response body
+ *                                      parsers, merged over the default parsers; see
+ *                                      http-parsers.js. By default, JSON (including +json
+ *                                      types) is parsed, text is decoded using the charset
+ *                                      parameter, and binary types are returned as Buffers.
+ *              @property concurrency   Limits on the number of concurrent requests. Requests
+ *                                      over a limit are queued until earlier requests
+ *                                      complete (i.e. their response has been read):
+ *                                      @property global    The maximum number of concurrent
+ *                                                          requests made by the client.
+ *                                      @property host      The maximum number of concurrent
+ *                                                          requests to each host.
+ *                                      @property hosts     A map of host names (including
+ *                                                          any port) onto per-host limits,
+ *                                                          overriding the host limit.
+ *              @property coalesce      If true then identical concurrent GET requests - i.e.
+ *                                      requests for the same URL with the same request
+ *                                      headers - share a single upstream request. Each
+ *                                      caller receives its own copy of the response. Can
+ *                                      also be an object with the following property:
+ *                                      @property ignoreHeaders Names of request headers
+ *                                                              which don't affect the
+ *                                                              response (e.g. request IDs),
+ *                                                              and which are ignored when
+ *                                                              matching requests.
+ *              @property middleware    An array of middleware functions, which are called in
+ *                                      order for every request made by the client. Each
+ *                                      function is called as middleware( req, next ) and
+ *                                      must return a promise resolving to a response; see
+ *                                      dispatch(). See http-middleware.js for the built-in
+ *                                      middleware.
+ *              @property cache         Response caching. HEAD responses are cached by
+ *                                      default; set to true, or to an object of response
+ *                                      cache options (see http-cache.js), to also cache GET
+ *                                      responses, or to false to disable response caching:
+ *                                      @property maxSize       The maximum total size, in
+ *                                                              bytes, of cached responses.
+ *                                      @property maxEntrySize  The maximum size, in bytes,
+ *                                                              of a single cached response.
+ *                                      @property maxAge        The maximum time, in ms, a
+ *                                                              response is kept after it
+ *                                                              was last used.
+ *              @property headCacheMaxAge   The maximum time, in ms, a cached response is
+ *                                      kept after it was last used; equivalent to the cache
+ *                                      maxAge option, which takes precedence. Note that
+ *                                      cached responses are only used whilst fresh.
+ */
 exports.client = function( opts ) {
 
-    // Default request retry count.
-    var RetryCount = opts.retryCount||3;
-    // Maximum age of entries in the HEAD request cache.
-    var HeadCacheMaxAge = opts.headCacheMaxAge||(1000 * 60 * 60 * 24);
+    opts = opts||{};
+    // Request retry policy.
+    var RetryPolicy = makeRetryPolicy( opts );
+    // Default request failure mode.
+    var OnFailure = opts.onFailure||'resolve';
+    // Default maximum number of redirects.
+    var Redirects = opts.redirects === undefined ? MaxRedirects : opts.redirects;
+    // Default request timeouts.
+    var Timeouts = makeTimeouts( TimeoutDefaults, opts.timeout );
+    // Whether to decompress response bodies.
+    var Decompress = opts.decompress !== false;
+    // Response body parsers.
+    var Parsers = mods.parsers.make( opts.parsers );
+    // The client's response cache, if enabled.
+    var Cache = opts.cache === false ? null : mods.cache.create( cacheOptions( opts ) );
+    // Request concurrency limits.
+    var Concurrency = opts.concurrency||{};
+    // Semaphore limiting the total number of concurrent requests, if any.
+    var GlobalSemaphore = Concurrency.global ? mods.semaphore( Concurrency.global ) : null;
+    // Semaphores limiting the number of concurrent requests to each host, keyed by host.
+    var HostSemaphores = {};
+    // Whether to coalesce identical concurrent GET requests.
+    var Coalesce = !!opts.coalesce;
+    // Lower case names of request headers ignored when coalescing requests.
+    var CoalesceIgnoreHeaders = ((opts.coalesce && opts.coalesce.ignoreHeaders)||[])
+    .map(function lower( name ) {
+        return name.toLowerCase();
+    });
+    // Share mutex for coalescing in-flight requests.
+    var InFlight = mods.shareMutex();
+    // Request middleware.
+    var Middleware = opts.middleware||[];
+    // The client's HTTP and HTTPS transports.
+    var transports = makeTransports( opts );
 
     /**
-     * GET an HTTP URL. Defaults to Accept: application/json.
-     * @param url       The URL to get.
-     * @param headers   Additional request headers to include in the request.
-     * @param retry     The number of retries to attempt (optional; defaults to 3).
-     * @return A promise resolving to an [ data, mimeType, headers ] array.
+     * Make the settings for a single request call.
+     * @param reqOpts   Request options; see request().
+     * @return A settings object with retries, redirects, timeouts, deadline, cancel,
+     *         coalesce and stream properties.
      */
-    function get( url, headers, retry ) {
-        if( retry === undefined ) {
-            retry = RetryCount;
-        }
-        var dp = q.defer();
-        Log.debug('GETing %s [%d]...', url, retry + 1 );
-        var opts = httpOpts('GET', url, headers );
-        var req = mods.http.request( opts, function( res ) {
-            // TODO: Better handling of other status codes.
-            if( res.statusCode == 200 ) {
-                var buffer = [];
-                res.on('data', function( chunk ) {
-                    buffer.push( chunk );
-                });
-                res.on('end', function() {
-                    try {
-                        var data = Buffer.concat( buffer ).toString();
-                        // Check for BOM (http://en.wikipedia.org/wiki/Byte_Order_Mark) at start of text 
-                        // - the node.js JSON parser will reject it.
-                        if( data.charCodeAt( 0 ) == 65279 ) {
-                            Log.warn('Removing BOM from %s response...', url );
-                            data = data.substring( 1 );
-                        }
-                        var mimeType = res.headers['content-type'];
-                        if( mimeType == 'application/json' ) {
-                            data = JSON.parse( data );
-                        }
-                        dp.resolve([ data, mimeType, res.headers ]);
-                    }
-                    catch( e ) {
-                        dp.reject( e );
-                    }
-                });
+    function makeSettings( reqOpts ) {
+        var settings = {
+            retries:    reqOpts.retry === undefined ? RetryPolicy.retries : reqOpts.retry,
+            redirects:  reqOpts.redirects === undefined ? Redirects : reqOpts.redirects,
+            timeouts:   makeTimeouts( Timeouts, reqOpts.timeout ),
+            cancel:     reqOpts.cancel,
+            // Whether to coalesce the request with identical in-flight GET requests.
+            coalesce:   false,
+            // Whether to stream the response, rather than reading it into memory.
+            stream:     false
+        };
+        // The time by which the request must complete, or zero for no limit.
+        settings.deadline = settings.timeouts.total ? Date.now() + settings.timeouts.total : 0;
+        return settings;
+    }
+
+    /**
+     * Get the semaphore limiting concurrent requests to a host.
+     * @param host  A host name, including any port.
+     * @return A semaphore, or null if requests to the host aren't limited.
+     */
+    function hostSemaphore( host ) {
+        var limit = (Concurrency.hosts && Concurrency.hosts[host])||Concurrency.host;
+        if( !limit ) {
+            return null;
+        }
+        var semaphore = HostSemaphores[host];
+        if( !semaphore ) {
+            semaphore = HostSemaphores[host] = mods.semaphore( limit );
+        }
+        return semaphore;
+    }
+
+    /**
+     * Acquire a slot on a semaphore. The slot is held until released.
+     * @param semaphore A semaphore, or null.
+     * @param cancel    An optional cancellation promise; see Semaphore.call().
+     * @return A deferred promise resolving to a function for releasing the slot.
+     */
+    function acquireSlot( semaphore, cancel ) {
+        if( !semaphore ) {
+            return Q(function release() {});
+        }
+        var acquired = Q.defer();
+        var released = Q.defer();
+        semaphore.call(function slot() {
+            acquired.resolve(function release() {
+                released.resolve();
+            });
+            return released.promise;
+        }, cancel )
+        .fail(function fail( err ) {
+            acquired.reject( err );
+        });
+        return acquired.promise;
+    }
+
+    /**
+     * Acquire the host and global concurrency slots needed to send a request. Requests are
+     * queued until slots become available.
+     * @param url       The request URL.
+     * @param settings  The request settings.
+     * @return A deferred promise resolving to a function for releasing the slots. The
+     *         function can safely be called more than once. The promise is rejected with
+     *         a CancelError if the request is cancelled whilst queued.
+     */
+    function acquire( url, settings ) {
+        var releases = [];
+        function release() {
+            releases.forEach(function release( fn ) {
+                fn();
+            });
+            releases = [];
+        }
+        var host = mods.url.parse( url ).host;
+        return acquireSlot( hostSemaphore( host ), settings.cancel )
+        .then(function hostSlot( fn ) {
+            releases.push( fn );
+            return acquireSlot( GlobalSemaphore, settings.cancel );
+        })
+        .then(function globalSlot( fn ) {
+            releases.push( fn );
+            return release;
+        },
+        function error( err ) {
+            release();
+            if( err.code == 'ECANCELED') {
+                throw new mods.errors.CancelError( err.message, url );
             }
-            else {
-                dp.reject( new Error( format('%d : %s', res.statusCode, res.status )));
+            throw err;
+        });
+    }
+
+    /**
+     * Send a single HTTP request.
+     * The request is aborted with a TimeoutError if any of the request timeouts expire
+     * before the response has been completely read.
+     * @param method    The HTTP method.
+     * @param url       The request URL.
+     * @param headers   The request headers.
+     * @param body      The encoded request body (optional).
+     * @param settings  The request settings.
+     * @param release   A function for releasing the request's concurrency slots, called
+     *                  once the response has been read or the request fails.
+     * @return A deferred promise resolving to the HTTP response.
+     */
+    function send( method, url, headers, body, settings, release ) {
+        var dp = Q.defer();
+        var timeouts = settings.timeouts;
+        if( settings.deadline && settings.deadline <= Date.now() ) {
+            dp.reject( timeoutError('total', timeouts.total, url ) );
+            return dp.promise;
+        }
+        var opts = httpOpts( method, url, headers, transports );
+        var res, done = false, connectTimer, totalTimer;
+        // Stop the request timers.
+        function finish() {
+            done = true;
+            clearTimeout( connectTimer );
+            clearTimeout( totalTimer );
+            release();
+        }
+        // Abort the request following a timeout.
+        function abort( type ) {
+            if( !done ) {
+                var err = timeoutError( type, timeouts[type], url );
+                finish();
+                if( res ) {
+                    res.destroy( err );
+                }
+                else {
+                    req.destroy( err );
+                }
             }
+        }
+        var req = transports[opts.protocol].module.request( opts, function( response ) {
+            res = response;
+            res.on('end', finish );
+            res.on('close', finish );
+            dp.resolve( res );
         });
         req.on('error', function( err ) {
-            // If an error occurs then check the cause, and attempt a retry for some failure types.
-            var failure = false;
-            if( err == 'Error: read ECONNRESET' ) {
-                failure = 'connection reset';
-            }
-            else if( err == 'Error: read ETIMEDOUT' ) {
-                failure = 'connection timeout';
-            }
-            else if( err == 'Error: socket hang up') {
-                failure = 'socket hang up';
-            }
-            // If failure type identified and retries are left...
-            if( failure && retry > 0 ) {
-                // ...then try again (with one less retry).
-                Log.warn('GET %s %s, attempting retry %d...', url, failure, RetryCount - retry + 1 );
-                dp.resolve( get( url, type, retry - 1) );
-            }
-            else {
-                // ...else failure not identified, or no retries left; resolve rather than reject
-                // the promise, as this isn't a failure condition.
-                // TODO: Make resolve vs. reject behaviour an option?
-                Log.error('GET %s %s', url, err );
-                dp.resolve();
+            finish();
+            dp.reject( mods.errors.networkError( err, url ) );
+        });
+        req.on('socket', function( socket ) {
+            if( timeouts.connect && socket.connecting ) {
+                connectTimer = setTimeout( abort, timeouts.connect, 'connect');
+                socket.once('connect', function() {
+                    clearTimeout( connectTimer );
+                });
             }
         });
-        req.end();
+        if( timeouts.idle ) {
+            req.setTimeout( timeouts.idle, function() {
+                abort('idle');
+            });
+        }
+        if( settings.deadline ) {
+            totalTimer = setTimeout( abort, settings.deadline - Date.now(), 'total');
+        }
+        if( isStream( body ) ) {
+            body.pipe( req );
+        }
+        else {
+            req.end( body );
+        }
         return dp.promise;
     }
 
-    // Create an LRU cache for HTTP HEAD requests. Store cache responses for a maximum of 24 hours.
-    var CachedHeadResponses = mods.lru.createWithMaxAge( HeadCacheMaxAge );
+    /**
+     * Send a HTTP request, retrying according to the client's retry policy.
+     * Requests failing with a retryable network error, or returning a retryable status
+     * code, are retried after a delay. The delay is taken from the response's
+     * Retry-After header, if any; otherwise, exponential backoff is used.
+     * @param method    The HTTP method.
+     * @param url       The request URL.
+     * @param headers   The request headers.
+     * @param body      The encoded request body (optional).
+     * @param settings  The request settings.
+     * @return A deferred promise resolving to the final HTTP response.
+     */
+    function sendWithRetry( method, url, headers, body, settings ) {
+        var t0 = Date.now();
+        // Test whether a retry can be made after the specified delay.
+        function canRetry( retry, delay ) {
+            var t1 = Date.now() + delay;
+            return retry < settings.retries
+                && (t1 - t0) <= RetryPolicy.maxElapsed
+                && (!settings.deadline || t1 < settings.deadline);
+        }
+        // Wait for a delay before trying the request again.
+        function retryAfter( retry, delay, failure ) {
+            Log.warn('%s %s %s, attempting retry %d in %dms...', method, url, failure, retry + 1, delay );
+            return Q.delay( delay )
+            .then(function again() {
+                return attempt( retry + 1 );
+            });
+        }
+        // Attempt the request.
+        function attempt( retry ) {
+            Log.debug('%s %s [%d]...', method, url, retry + 1 );
+            return acquire( url, settings )
+            .then(function acquired( release ) {
+                return Q.fcall( send, method, url, headers, body, settings, release )
+                .fail(function fail( err ) {
+                    release();
+                    throw err;
+                });
+            })
+            .then(function response( res ) {
+                if( RetryPolicy.statuses.indexOf( res.statusCode ) > -1 ) {
+                    var delay = parseRetryAfter( res.headers['retry-after'] );
+                    if( delay === undefined ) {
+                        delay = retryDelay( RetryPolicy, retry );
+                    }
+                    if( canRetry( retry, delay ) ) {
+                        res.resume();
+                        return retryAfter( retry, delay, format('status %d', res.statusCode ) );
+                    }
+                }
+                return res;
+            },
+            function error( err ) {
+                var delay = retryDelay( RetryPolicy, retry );
+                if( RetryPolicy.errors.indexOf( err.code ) > -1 && canRetry( retry, delay ) ) {
+                    return retryAfter( retry, delay, err.code );
+                }
+                throw err;
+            });
+        }
+        return attempt( 0 );
+    }
 
-    // Do a HTTP head request. Cache any previous requests.
-    // TODO: Review this, might be better and more reliable to use a proper caching http request object.
-    // This implementation relies on an expires header in the response.
-    function head( url, headers ) {
-        var dp = Q.defer();
-        var res = CachedHeadResponses[url];
-        if( res && res.expires >= new Date() ) {
-            dp.resolve( res );
+    /**
+     * Send a HTTP request and read the complete response.
+     * HEAD requests (and GET requests, if enabled by the client's cache option) are served
+     * from the response cache where possible, and stale cached responses are revalidated
+     * with the server. Successful requests using other
+     * methods invalidate any cached responses for the same URL.
+     * If the stream setting is true then the response isn't read, and the HTTP response is
+     * returned unchanged; streamed responses bypass the response cache.
+     * @param method    The HTTP method.
+     * @param url       The request URL.
+     * @param headers   The request headers.
+     * @param body      The encoded request body (optional).
+     * @param settings  The request settings.
+     * @return A deferred promise resolving to a response object, with statusCode, headers
+     *         and body (a Buffer) properties.
+     */
+    function fetch( method, url, headers, body, settings ) {
+        if( settings.stream ) {
+            return sendWithRetry( method, url, headers, body, settings );
         }
-        else {
-            var opts = httpOpts('HEAD', url, headers );
-            var req = mods.http.request( opts, function( res ) {
-                CachedHeadResponses[url] = {
-                    // Use the 'expires' header (if any) to control how long this response is valid for; otherwise
-                    // retain the response for 1 min.
-                    expires:    res.headers.expires ? new Date( res.headers.expires ) : new Date( Date.now() + 60000 ),
+        var cacheable = !!Cache && Cache.caches( method ) && body === undefined;
+        var cc = mods.cache.parseCacheControl( getHeader( headers, 'Cache-Control') );
+        if( cc['no-store'] ) {
+            cacheable = false;
+        }
+        var entry = cacheable ? Cache.lookup( method, url, headers ) : undefined;
+        var sendHeaders = headers;
+        if( entry ) {
+            if( !cc['no-cache'] && cc['max-age'] !== 0 && Cache.isFresh( entry ) ) {
+                Log.debug('%s %s [cached]', method, url );
+                Cache.hit( false );
+                return Q( copyResponse( entry ) );
+            }
+            // Cached response is stale, so attempt to revalidate it.
+            sendHeaders = {};
+            for( var id in headers ) {
+                sendHeaders[id] = headers[id];
+            }
+            if( !Cache.addValidators( entry, sendHeaders ) ) {
+                entry = undefined;
+                sendHeaders = headers;
+            }
+        }
+        return sendWithRetry( method, url, sendHeaders, body, settings )
+        .then(function response( res ) {
+            if( entry && res.statusCode == 304 ) {
+                // Cached response is still valid.
+                res.resume();
+                Cache.refresh( entry, res.headers );
+                Cache.hit( true );
+                return copyResponse( entry );
+            }
+            return readBody( res, url )
+            .then(function read( buffer ) {
+                return Decompress ? decompress( buffer, res.headers, url ) : buffer;
+            })
+            .then(function decompressed( buffer ) {
+                if( cacheable ) {
+                    // Cache a copy of the body, as the caller may modify the returned body.
+                    Cache.miss();
+                    Cache.store( method, url, headers, res.statusCode, res.headers, new Buffer( buffer ) );
+                }
+                else if( Cache && UnsafeMethods.indexOf( method ) > -1 && res.statusCode < 400 ) {
+                    Cache.invalidate( url );
+                }
+                return {
+                    statusCode: res.statusCode,
+                    headers:    res.headers,
+                    body:       buffer
+                };
+            });
+        });
+    }
+
+    /**
+     * Send a HTTP request and read the complete response, following any redirects.
+     * A 303 See Other redirect, or a 301 or 302 redirect of a POST request, changes the
+     * request method to GET and drops the request body; other redirects repeat the
+     * request unchanged, except that a request with a streamed body isn't redirected.
+     * Credentials are removed from the request headers when redirecting to a different
+     * origin.
+     * @param method    The HTTP method.
+     * @param url       The request URL.
+     * @param headers   The request headers.
+     * @param body      The encoded request body (optional).
+     * @param settings  The request settings.
+     * @param hops      The number of redirects followed so far.
+     * @return A deferred promise resolving to the final response; see fetch().
+     */
+    function follow( method, url, headers, body, settings, hops ) {
+        return fetch( method, url, headers, body, settings )
+        .then(function response( res ) {
+            var location = res.headers.location;
+            if( RedirectStatuses.indexOf( res.statusCode ) < 0 || !location || !settings.redirects ) {
+                return res;
+            }
+            if( isStream( res ) ) {
+                // Discard the body of a streamed redirect response.
+                res.resume();
+            }
+            if( hops >= settings.redirects ) {
+                throw new mods.errors.RedirectError( format('Too many redirects (%d)', hops ), url );
+            }
+            var status = res.statusCode;
+            var nextURL = mods.url.resolve( url, location );
+            Log.debug('%s %s redirected (%d) to %s', method, url, status, nextURL );
+            var nextHeaders = {};
+            for( var id in headers ) {
+                nextHeaders[id] = headers[id];
+            }
+            if( (status == 303 && method != 'HEAD') || ((status == 301 || status == 302) && method == 'POST') ) {
+                method = 'GET';
+                body = undefined;
+                deleteHeader( nextHeaders, 'Content-Type');
+                deleteHeader( nextHeaders, 'Content-Length');
+            }
+            else if( isStream( body ) ) {
+                // A streamed body can't be sent again.
+                return res;
+            }
+            if( urlOrigin( nextURL ) != urlOrigin( url ) ) {
+                CredentialHeaders.forEach(function strip( name ) {
+                    deleteHeader( nextHeaders, name );
+                });
+            }
+            return follow( method, nextURL, nextHeaders, body, settings, hops + 1 );
+        });
+    }
+
+    /**
+     * Send a GET request, sharing the response with any identical in-flight requests.
+     * Requests are identical if they have the same URL and request headers, ignoring any
+     * headers listed in the coalesce ignoreHeaders option. Note that the shared upstream
+     * request uses the settings of the first caller.
+     * @param url       The request URL.
+     * @param headers   The request headers.
+     * @param settings  The request settings.
+     * @return A deferred promise resolving to a copy of the final response; see fetch().
+     */
+    function coalesce( url, headers, settings ) {
+        var names = Object.keys( headers )
+        .filter(function relevant( name ) {
+            return CoalesceIgnoreHeaders.indexOf( name.toLowerCase() ) < 0;
+        })
+        .sort(function compare( a, b ) {
+            return a.toLowerCase() < b.toLowerCase() ? -1 : 1;
+        });
+        var key = JSON.stringify([ url ].concat( names.map(function header( name ) {
+            return [ name.toLowerCase(), String( headers[name] ) ];
+        })));
+        return InFlight.call( key, function send() {
+            return follow('GET', url, headers, undefined, settings, 0 );
+        })
+        .then( copyResponse );
+    }
+
+    /**
+     * Perform a request, after it has passed through the middleware chain.
+     * @param req   A request object; see dispatch().
+     * @return A deferred promise resolving to a response object; see dispatch().
+     */
+    function perform( req ) {
+        var settings = req.settings;
+        if( settings.stream ) {
+            return follow( req.method, req.url, req.headers, req.body, settings, 0 )
+            .then(function response( res ) {
+                return {
                     statusCode: res.statusCode,
-                    headers:    res.headers
+                    headers:    res.headers,
+                    body:       res
                 };
-                dp.resolve( res );
             });
-            req.end();
         }
-        return dp.promise;
+        if( settings.coalesce && req.method == 'GET' && req.body === undefined ) {
+            return coalesce( req.url, req.headers, settings );
+        }
+        return follow( req.method, req.url, req.headers, req.body, settings, 0 );
+    }
+
+    /**
+     * Dispatch a request through the client's middleware chain.
+     * Each middleware function is called as middleware( req, next ), and must return a
+     * (promise resolving to a) response. A middleware function can:
+     * - modify the request before passing it to the next middleware, by calling next( req );
+     * - inspect or replace the response returned by next();
+     * - retry the request by calling next() again;
+     * - short-circuit the request by returning a response without calling next(), e.g.
+     *   a result cached by the middleware.
+     * @param req   A request object, with the following properties:
+     *              @property method    The HTTP method.
+     *              @property url       The request URL.
+     *              @property headers   The request headers.
+     *              @property body      The encoded request body (a Buffer or readable
+     *                                  stream), or undefined.
+     *              @property settings  The request settings; retries, redirects, timeouts,
+     *                                  deadline, cancel, coalesce and stream properties.
+     * @return A deferred promise resolving to a response object, with statusCode, headers
+     *         and body properties. The body is a Buffer, or for streamed requests (i.e.
+     *         when settings.stream is true) an unread readable stream; middleware which
+     *         discards a streamed response must consume its body, e.g. using resume().
+     */
+    function dispatch( req ) {
+        function call( i, req ) {
+            if( i == Middleware.length ) {
+                return Q.fcall( perform, req );
+            }
+            return Q.fcall( Middleware[i], req, function next( nextReq ) {
+                return call( i + 1, nextReq||req );
+            });
+        }
+        return call( 0, req );
+    }
+
+    /**
+     * Make a HTTP request. Defaults to Accept: application/json.
+     * @param method    The HTTP method, e.g. 'GET' or 'POST'.
+     * @param url       The URL to request.
+     * @param reqOpts   Optional request options:
+     *                  @property headers   Additional request headers to include in the request.
+     *                  @property body      The request body; a Buffer, string, readable stream or
+     *                                      object. Objects are sent as JSON, unless the form
+     *                                      option is set.
+     *                  @property form      If true then send an object body as form encoded data.
+     *                  @property retry     The maximum number of retries to attempt (defaults to
+     *                                      the client's retry policy). Requests are never retried
+     *                                      when the body is a stream.
+     *                  @property redirects The maximum number of redirects to follow; overrides
+     *                                      the client's redirects option for this request.
+     *                  @property timeout   Request timeouts; merged over the client's timeout
+     *                                      option for this request.
+     *                  @property onFailure 'resolve' or 'reject'; overrides the client's onFailure
+     *                                      option for this request.
+     *                  @property coalesce  Overrides the client's coalesce option for this request
+     *                                      (GET requests only).
+     *                  @property cancel    A promise which cancels the request if resolved whilst
+     *                                      the request is queued by the client's concurrency
+     *                                      limits; the request is then rejected with a
+     *                                      CancelError.
+     * @return A promise resolving to an [ data, mimeType, headers ] array. The promise is
+     *         rejected with a HttpStatusError if the response status isn't a 2xx status.
+     */
+    function request( method, url, reqOpts ) {
+        reqOpts = reqOpts||{};
+        method = method.toUpperCase();
+        var settings = makeSettings( reqOpts );
+        var headers = {};
+        for( var id in reqOpts.headers ) {
+            headers[id] = reqOpts.headers[id];
+        }
+        var body;
+        if( reqOpts.body !== undefined ) {
+            body = encodeBody( reqOpts.body, headers, reqOpts.form );
+        }
+        if( isStream( body ) ) {
+            settings.retries = 0;
+        }
+        // Note that default headers are added before dispatch, so that the response cache
+        // and middleware see the same headers as are sent.
+        if( !getHeader( headers, 'Accept') ) {
+            headers.Accept = 'application/json';
+        }
+        if( Decompress && !getHeader( headers, 'Accept-Encoding') ) {
+            headers['Accept-Encoding'] = 'gzip, deflate';
+        }
+        var onFailure = reqOpts.onFailure||OnFailure;
+        settings.coalesce = reqOpts.coalesce === undefined ? Coalesce : !!reqOpts.coalesce;
+        return dispatch({
+            method:     method,
+            url:        url,
+            headers:    headers,
+            body:       body,
+            settings:   settings
+        })
+        .then(function response( res ) {
+            if( res.statusCode >= 200 && res.statusCode < 300 ) {
+                return decodeBody( res.body, res.headers, url, Parsers );
+            }
+            throw statusError( res, url, Parsers );
+        },
+        function error( err ) {
+            return failed( err, method, url, onFailure );
+        });
+    }
+
+    /**
+     * Handle a failed request.
+     * Failure not retryable, or no retries left; unless configured to reject, network errors
+     * other than timeouts resolve rather than reject the request promise.
+     * @param err       The request error.
+     * @param method    The HTTP method.
+     * @param url       The request URL.
+     * @param onFailure The request's failure mode; 'resolve' or 'reject'.
+     * @return undefined, if the failure is resolved; otherwise the error is rethrown.
+     */
+    function failed( err, method, url, onFailure ) {
+        var resolvable = err instanceof mods.errors.NetworkError
+                      && !(err instanceof mods.errors.TimeoutError);
+        if( resolvable && onFailure == 'resolve') {
+            Log.error('%s %s %s', method, url, err );
+            return undefined;
+        }
+        throw err;
+    }
+
+    /**
+     * Send a streamed GET request.
+     * @param url       The URL to get.
+     * @param headers   The request headers.
+     * @param settings  The request settings.
+     * @return A deferred promise resolving to a streamed response object; see dispatch().
+     *         The promise is rejected with a HttpStatusError if the response status isn't
+     *         a 2xx status.
+     */
+    function getStream( url, headers, settings ) {
+        if( !getHeader( headers, 'Accept') ) {
+            headers.Accept = '*/*';
+        }
+        settings.stream = true;
+        return dispatch({
+            method:     'GET',
+            url:        url,
+            headers:    headers,
+            settings:   settings
+        })
+        .then(function response( res ) {
+            if( (res.statusCode >= 200 && res.statusCode < 300) || res.statusCode == 416 ) {
+                return res;
+            }
+            return readBody( res.body, url )
+            .then(function read( buffer ) {
+                return Decompress ? decompress( buffer, res.headers, url ) : buffer;
+            })
+            .then(function reject( body ) {
+                throw statusError({ statusCode: res.statusCode, headers: res.headers, body: body }, url, Parsers );
+            });
+        });
+    }
+
+    /**
+     * GET an HTTP URL as a stream, without reading the response body into memory.
+     * @param url       The URL to get.
+     * @param reqOpts   Optional request options; see request(). Additionally:
+     *                  @property progress  A progress callback, called as
+     *                                      progress( received, total ) as the response body
+     *                                      is read, where total is the Content-Length (if
+     *                                      known).
+     * @return A promise resolving to an [ stream, mimeType, headers ] array, where stream
+     *         is a readable stream of the response body. The stream emits an error if the
+     *         body length doesn't match the response's Content-Length. Compressed
+     *         responses are decompressed, unless the client's decompress option is false.
+     */
+    function stream( url, reqOpts ) {
+        reqOpts = reqOpts||{};
+        var headers = {};
+        for( var id in reqOpts.headers ) {
+            headers[id] = reqOpts.headers[id];
+        }
+        return getStream( url, headers, makeSettings( reqOpts ) )
+        .then(function response( res ) {
+            if( res.statusCode == 416 ) {
+                res.body.resume();
+                throw new mods.errors.HttpStatusError( res.statusCode, res.headers, undefined, url );
+            }
+            var body = bodyStream( res, 0, reqOpts.progress, url );
+            if( Decompress && compression( res.headers['content-encoding'] ) ) {
+                var unzip = mods.zlib.createUnzip();
+                body.on('error', function( err ) {
+                    unzip.emit('error', err );
+                });
+                body = body.pipe( unzip );
+            }
+            return [ body, res.headers['content-type'], res.headers ];
+        },
+        function error( err ) {
+            return failed( err, 'GET', url, reqOpts.onFailure||OnFailure );
+        });
+    }
+
+    /**
+     * Download an HTTP URL to a file.
+     * If the transfer fails part way through with a network error, then the download is
+     * resumed using a Range request for the remainder of the file, up to the request's
+     * retry limit. If the server doesn't support range requests then the download is
+     * restarted. A failed download leaves the partially downloaded file in place.
+     * The response body is written to file as received, without decompression; downloads
+     * don't send an Accept-Encoding header unless one is included in the request headers.
+     * @param url       The URL to download.
+     * @param path      The path of the file to write to.
+     * @param reqOpts   Optional request options; see stream(). Additionally:
+     *                  @property resume    If true and the file already exists, then assume
+     *                                      it's the result of a previous failed download, and
+     *                                      resume the download from the end of the file.
+     * @return A promise resolving to an [ path, mimeType, headers ] array once the
+     *         download is complete.
+     */
+    function download( url, path, reqOpts ) {
+        reqOpts = reqOpts||{};
+        var settings = makeSettings( reqOpts );
+        var headers = {};
+        for( var id in reqOpts.headers ) {
+            headers[id] = reqOpts.headers[id];
+        }
+        // The number of bytes written to file.
+        var received = 0;
+        // Validator used to check that the resource is unchanged when resuming a download.
+        var validator;
+        // Write a response body to the file.
+        function write( res, offset ) {
+            var dp = Q.defer();
+            var file = mods.fs.createWriteStream( path, { flags: offset > 0 ? 'a' : 'w' });
+            var body = bodyStream( res, offset, reqOpts.progress, url );
+            var failure;
+            body.on('error', function( err ) {
+                failure = err;
+                body.unpipe( file );
+                file.end();
+            });
+            file.on('error', function( err ) {
+                failure = failure||err;
+                res.body.destroy();
+            });
+            file.on('close', function() {
+                if( failure ) {
+                    dp.reject( failure );
+                }
+                else {
+                    dp.resolve();
+                }
+            });
+            body.pipe( file );
+            return dp.promise;
+        }
+        // Attempt the download, starting from the current number of bytes received.
+        function attempt( resumes ) {
+            var reqHeaders = {};
+            for( var id in headers ) {
+                reqHeaders[id] = headers[id];
+            }
+            if( received > 0 ) {
+                reqHeaders.Range = 'bytes='+received+'-';
+                if( validator ) {
+                    reqHeaders['If-Range'] = validator;
+                }
+            }
+            var res;
+            return getStream( url, reqHeaders, settings )
+            .then(function response( response ) {
+                res = response;
+                if( res.statusCode == 416 ) {
+                    // Range not satisfiable; check whether the file is already complete.
+                    res.body.resume();
+                    var r = /^bytes\s+\*\/(\d+)$/.exec( res.headers['content-range']||'');
+                    if( received > 0 && r && Number( r[1] ) == received ) {
+                        return;
+                    }
+                    throw new mods.errors.HttpStatusError( res.statusCode, res.headers, undefined, url );
+                }
+                var offset = 0;
+                if( res.statusCode == 206 ) {
+                    offset = contentRangeStart( res.headers['content-range'] );
+                    if( offset !== received ) {
+                        res.body.resume();
+                        throw new mods.errors.HttpError( format('Unexpected Content-Range: %s',
+                                                            res.headers['content-range'] ), url );
+                    }
+                }
+                else if( received > 0 ) {
+                    Log.warn('GET %s range request not supported, restarting download', url );
+                }
+                var etag = res.headers.etag;
+                validator = (etag && !/^W\//.test( etag )) ? etag : res.headers['last-modified'];
+                return write( res, offset );
+            })
+            .then(function complete() {
+                return [ path, res.headers['content-type'], res.headers ];
+            },
+            function error( err ) {
+                if( !(err instanceof mods.errors.NetworkError) || resumes >= settings.retries ) {
+                    throw err;
+                }
+                // Find how much of the file was written before the failure.
+                return Q.nfcall( mods.fs.stat, path )
+                .then(function stat( stats ) {
+                    received = stats.size;
+                },
+                function missing() {
+                    received = 0;
+                })
+                .then(function resume() {
+                    var delay = retryDelay( RetryPolicy, resumes );
+                    Log.warn('GET %s %s after %d bytes, resuming in %dms...', url, err.code, received, delay );
+                    return Q.delay( delay );
+                })
+                .then(function again() {
+                    return attempt( resumes + 1 );
+                });
+            });
+        }
+        var start = Q();
+        if( reqOpts.resume ) {
+            start = Q.nfcall( mods.fs.stat, path )
+            .then(function stat( stats ) {
+                received = stats.size;
+            },
+            function missing() {
+                received = 0;
+            });
+        }
+        return start
+        .then(function download() {
+            return attempt( 0 );
+        })
+        .fail(function error( err ) {
+            return failed( err, 'GET', url, reqOpts.onFailure||OnFailure );
+        });
+    }
+
+    /**
+     * GET an HTTP URL. Defaults to Accept: application/json.
+     * @param url       The URL to get.
+     * @param headers   Additional request headers to include in the request.
+     * @param retry     The maximum number of retries to attempt (optional; defaults to the
+     *                  client's retry policy).
+     * @return A promise resolving to an [ data, mimeType, headers ] array.
+     */
+    function get( url, headers, retry ) {
+        return request('GET', url, { headers: headers, retry: retry });
+    }
+
+    /**
+     * Make a request with a body.
+     * @param method    The HTTP method.
+     * @param url       The URL to send the request to.
+     * @param body      The request body; see request().
+     * @param reqOpts   Optional request options; see request().
+     */
+    function requestWithBody( method, url, body, reqOpts ) {
+        var bodyOpts = {};
+        for( var id in reqOpts ) {
+            bodyOpts[id] = reqOpts[id];
+        }
+        bodyOpts.body = body;
+        return request( method, url, bodyOpts );
+    }
+
+    /**
+     * POST to an HTTP URL.
+     * @param url       The URL to post to.
+     * @param body      The request body; see request().
+     * @param reqOpts   Optional request options; see request().
+     * @return A promise resolving to an [ data, mimeType, headers ] array.
+     */
+    function post( url, body, reqOpts ) {
+        return requestWithBody('POST', url, body, reqOpts );
+    }
+
+    /**
+     * PUT to an HTTP URL.
+     * @param url       The URL to put to.
+     * @param body      The request body; see request().
+     * @param reqOpts   Optional request options; see request().
+     * @return A promise resolving to an [ data, mimeType, headers ] array.
+     */
+    function put( url, body, reqOpts ) {
+        return requestWithBody('PUT', url, body, reqOpts );
+    }
+
+    /**
+     * PATCH an HTTP URL.
+     * @param url       The URL to patch.
+     * @param body      The request body; see request().
+     * @param reqOpts   Optional request options; see request().
+     * @return A promise resolving to an [ data, mimeType, headers ] array.
+     */
+    function patch( url, body, reqOpts ) {
+        return requestWithBody('PATCH', url, body, reqOpts );
+    }
+
+    /**
+     * DELETE an HTTP URL.
+     * @param url       The URL to delete.
+     * @param reqOpts   Optional request options; see request().
+     * @return A promise resolving to an [ data, mimeType, headers ] array.
+     */
+    function del( url, reqOpts ) {
+        return request('DELETE', url, reqOpts );
+    }
+
+    /**
+     * Do a HTTP HEAD request. Defaults to Accept: application/json. Responses are cached
+     * according to their cache headers.
+     * @param url       The URL to request.
+     * @param headers   Additional request headers to include in the request.
+     * @return A promise resolving to a response object with statusCode and headers
+     *         properties.
+     */
+    function head( url, headers ) {
+        var reqHeaders = {};
+        for( var id in headers ) {
+            reqHeaders[id] = headers[id];
+        }
+        if( !getHeader( reqHeaders, 'Accept') ) {
+            reqHeaders.Accept = 'application/json';
+        }
+        return dispatch({
+            method:     'HEAD',
+            url:        url,
+            headers:    reqHeaders,
+            settings:   makeSettings({})
+        })
+        .then(function response( res ) {
+            return {
+                statusCode: res.statusCode,
+                headers:    res.headers
+            };
+        },
+        function error( err ) {
+            return failed( err, 'HEAD', url, OnFailure );
+        });
+    }
+
+    /**
+     * Return the response cache statistics; see http-cache.js. Returns undefined if
+     * response caching is disabled.
+     */
+    function cacheStats() {
+        return Cache ? Cache.stats() : undefined;
+    }
+
+    /**
+     * Return request queue statistics, for monitoring the client's concurrency limits.
+     * @return An object with a global property, containing the global semaphore's stats
+     *         (if a global limit is set); and a hosts property, mapping host names onto
+     *         the stats of each host's semaphore. See Semaphore.stats().
+     */
+    function queueStats() {
+        var stats = {
+            global: GlobalSemaphore ? GlobalSemaphore.stats() : undefined,
+            hosts:  {}
+        };
+        for( var host in HostSemaphores ) {
+            stats.hosts[host] = HostSemaphores[host].stats();
+        }
+        return stats;
     }
 
     return {
-        get:    get,
-        head:   head
+        request:    request,
+        get:        get,
+        head:       head,
+        post:       post,
+        put:        put,
+        patch:      patch,
+        delete:     del,
+        stream:     stream,
+        download:   download,
+        cacheStats: cacheStats,
+        queueStats: queueStats
     }
 }
+
+// Export the client error types.
+exports.HttpError = mods.errors.HttpError;
+exports.HttpStatusError = mods.errors.HttpStatusError;
+exports.RedirectError = mods.errors.RedirectError;
+exports.CancelError = mods.errors.CancelError;
+exports.NetworkError = mods.errors.NetworkError;
+exports.TimeoutError = mods.errors.TimeoutError;
+
+// Export the built-in middleware, for use with the middleware client option.
+exports.middleware = mods.middleware;
+
+// Export the response body parsers, for use with the parsers client option.
+exports.parsers = {
+    json:   mods.parsers.json,
+    text:   mods.parsers.text,
+    binary: mods.parsers.binary
+};
@@ -3,22 +3,40 @@
  * size of all items in cache). Cache items are automatically invalidated in least recently used order
  * to maintain the bound condition.
  * All cache items are organized into groups to facilitate efficient partial cache invalidation.
+ * Groups can be read or touched as a whole, and can have their own size limits; when a group exceeds
+ * its limit, its least recently used items are evicted.
+ *
+ * Items can also be added with tags, so that an item can be invalidated by any of several keys (e.g.
+ * by content ID and by author ID) using removeTag().
+ *
+ * Items are stored in a doubly linked list, in most recently used order, and are indexed by group
+ * and ID in a hash map; so get, add and remove are all O(1) operations. Each group's items are also
+ * linked in most recently used order, so that group limits can be enforced in O(1) time.
+ *
+ * Items can be added with a TTL, after which they expire. Expired items are never returned by
+ * the cache, and are removed when read or when they reach the cache tail.
+ *
+ * The cache is an EventEmitter, and emits the following event:
+ * - evict(key, data, reason): An item was removed from the cache. The reason is 'size' if the item
+ *   was removed to maintain the cache's bound condition or a group's size limit; 'age' if the item
+ *   expired; or 'manual' if the item was removed using remove() or removeTag().
+ *
+ * A cache can optionally have a disk tier (see lru-disk.js), configured using the disk option, e.g.
+ *
+ *   lru.createWithMaxSize( 1000, { disk: { dir: 'cache', maxSize: 100000000 } });
+ *
+ * Items evicted from memory to maintain the bound condition or a group limit are written to the disk tier, and items
+ * not found in memory are read from the disk tier and promoted back into memory. The disk tier has
+ * its own size bound, and its contents are kept when the process restarts; flush() can be used to
+ * write all items in memory to disk before shutting down. Item data written to disk must be either
+ * a Buffer or JSON serializable.
  */
-var seriesStart = -9999999999, seriesEnd = 9999999999;
-var testMode = false;
-
-// An object for generating ascending series numbers for cache items.
-function NumberSeries() {
-    var n = seriesStart;
-    this.next = function() {
-        if( n == seriesEnd ) {
-            throw "SeriesOverflow";
-        }
-        return n++;
-    };
-    this.reset = function() {
-        n = seriesStart;
-    };
+var Q = require('q');
+var mods = {
+    disk:       require('./lru-disk'),
+    events:     require('events'),
+    shareMutex: require('./share-mutex'),
+    util:       require('util')
 }
 
 function createKey() {
@@ -33,128 +51,374 @@ function createKey() {
     return { id: id, group: group };
 }
 
+/**
+ * Cache constuctor.
+ * @boundCondition  A function used to test whether a tail (LRU) item should be removed from the cache because
+ *                  it breaks the bound condition.
+ * @opts            Optional cache options:
+ *                  @maxAge         A maximum age, in ms since they were last accessed, for all cache items.
+ *                  @disk           Disk tier options; see lru-disk.js.
+ *                  @maxGroupSize   A default maximum total size of the items in each group. Limits for
+ *                                  specific groups can be set using setGroupLimit().
+ */
+function LRUCache( boundCondition, opts ) {
+    mods.events.EventEmitter.call( this );
+    var self = this;
+    opts = opts||{};
+    var maxAge = opts.maxAge;
+    // The disk tier, if any.
+    var disk = opts.disk && mods.disk( opts.disk );
+    // The cache item groups.
+    var groups = {};
+    // Information about each group; its number of items, total size, head and tail items of the
+    // group list, and statistics.
+    var groupInfo = {};
+    // Group size limits, by group ID.
+    var groupLimits = {};
+    // The IDs of groups which may have exceeded their size limit.
+    var overLimit = {};
+    // Items by tag, then by item serial number.
+    var tagged = {};
+    // The last item serial number.
+    var serial = 0;
+    // The head (most recently used) and tail (least recently used) items of the cache list.
+    var head = null, tail = null;
+    // The total size of all items in the cache.
+    var totalSize = 0;
+    // The number of items in the cache.
+    var count = 0;
+    // Cache statistics.
+    var stats;
+    // Share mutex for sharing concurrent loads of the same item.
+    var loads = mods.shareMutex();
 
-// Return the index of an item within the cache list, or -1 if the item isn't found.
-// Uses a binary search, so relies on the cache list being in descending number series order.
-function indexOfItem( cache, item ) {
-    if( cache.length < 20 ) {
-        // For small cache sizes, use the built in indexOf method as this is likely to be faster.
-        // (NOTE: The cut-off length of 20 isn't currently based on any actual performance metrics).
-        return cache.indexOf( item );
+    // Unlink an item from the cache list.
+    function unlink( item ) {
+        if( item.prev ) {
+            item.prev.next = item.next;
+        }
+        else {
+            head = item.next;
+        }
+        if( item.next ) {
+            item.next.prev = item.prev;
+        }
+        else {
+            tail = item.prev;
+        }
+        item.prev = item.next = null;
     }
-    var rs = 0, re = cache.length - 1, rm;      // Range start, range end, range mid-point.
-    while( re > rs ) {                          // While range end is after range start...
-        rm = Math.floor( (rs + re) / 2 );       // Calculate the range mid-point.
-        var i = cache[rm];                      // Read the item at the mid-point.
-        if( i === item ) {                      // If we've found the item then break, return its index.
-            break;
+    // Link an unlinked item at the head of the cache list.
+    function link( item ) {
+        item.next = head;
+        if( head ) {
+            head.prev = item;
         }
-        if( i.sno > item.sno ) {                // Else if this index's series number is greater...
-            rs = ++rm;                          // ...then move the range start to just after this point.
+        head = item;
+        if( !tail ) {
+            tail = item;
+        }
+    }
+    // Unlink an item from its group list.
+    function groupUnlink( info, item ) {
+        if( item.groupPrev ) {
+            item.groupPrev.groupNext = item.groupNext;
+        }
+        else {
+            info.head = item.groupNext;
+        }
+        if( item.groupNext ) {
+            item.groupNext.groupPrev = item.groupPrev;
         }
         else {
-            re = --rm;                          // ...else move the range end to just before this point.
+            info.tail = item.groupPrev;
         }
+        item.groupPrev = item.groupNext = null;
     }
-    return cache[rm] === item ? rm : -1;        // Check if we've found the item.
-}
-// TODO: Knowing that items are numbered consecutively, it might be possible to optimizing this search
-// by saying that the search range end index can't be greater than (cache[0].sno - item.sno) - obviously
-// more likely to be useful when the target item was accessed only recently before the cache head.
-
-
-// Return a new cache array with the specified item at its head. If the item is already in the array then it will be
-// moved to the first position; otherwise a new array is returned with the item at its head.
-function toHead( cache, item, series, move ) {
-    // Find the item's index, but only if moving an existing item.
-    var i = move ? indexOfItem( cache, item ) : -1;
-    // Special case - item is already head of cache.
-    if( i == 0 ) {
-        return cache;
+    // Link an unlinked item at the head of its group list.
+    function groupLink( info, item ) {
+        item.groupNext = info.head;
+        if( info.head ) {
+            info.head.groupPrev = item;
+        }
+        info.head = item;
+        if( !info.tail ) {
+            info.tail = item;
+        }
     }
-    // Update the item's series number (don't do before search, otherwise search won't work...)
-    try {
-        item.sno = series.next();
+    // Move an item to the head of the cache list and of its group list.
+    function toHead( item ) {
+        if( head !== item ) {
+            unlink( item );
+            link( item );
+        }
+        var info = item.groupInfo;
+        if( info.head !== item ) {
+            groupUnlink( info, item );
+            groupLink( info, item );
+        }
     }
-    catch( e ) {
-        // In case of series number overflow, reset the counter and renumber the cache list.
-        series.reset();
-        for( var j = cache.length - 1; j >= 0; j-- ) {
-            cache[j].sno = series.next();
-        }
-        item.sno = series.next();
-        if( testMode ) {
-            console.log('Cache item numbering series overflow');
-            console.log('Cache items renumbered: %j', cache );
-            console.log('series.next() -> %d', item.sno );
+    // Return the size limit of a group.
+    function groupLimit( id ) {
+        return groupLimits.hasOwnProperty( id ) ? groupLimits[id] : opts.maxGroupSize;
+    }
+    // Set an item's tags, replacing any previous tags.
+    function setTags( item, tags ) {
+        clearTags( item );
+        if( tags && tags.length ) {
+            item.sno = item.sno||++serial;
+            item.tags = tags.slice();
+            tags.forEach(function tag( tag ) {
+                (tagged[tag] = tagged[tag]||{})[item.sno] = item;
+            });
+        }
+    }
+    // Remove an item's tags.
+    function clearTags( item ) {
+        if( item.tags ) {
+            item.tags.forEach(function untag( tag ) {
+                var items = tagged[tag];
+                if( items ) {
+                    delete items[item.sno];
+                    for( var sno in items ) {
+                        return;
+                    }
+                    delete tagged[tag];
+                }
+            });
+            item.tags = undefined;
         }
     }
-    if( i > -1 ) {
-        // Item is being moved, so slice the cache list around its previous position.
-        return [ item ].concat( cache.slice( 0, i ), cache.slice( i + 1 ) );
+    // Test whether an item has expired, either because its TTL has elapsed or because it is
+    // older than the cache's maximum age.
+    function expired( item ) {
+        var now = Date.now();
+        return (item.expires > 0 && now >= item.expires) || (maxAge > 0 && now - item.time > maxAge);
     }
-    else {
-        // Item is being added, so simply append the current cache list to the item.
-        return [ item ].concat( cache );
+    // Write an item to the disk tier. The item's expiry time on disk includes the cache's maximum age.
+    function spill( item ) {
+        var expires = item.expires;
+        if( maxAge > 0 && !(expires > 0 && expires < item.time + maxAge) ) {
+            expires = item.time + maxAge;
+        }
+        disk.write( item.key, item.data, item.size, expires, item.tags );
+    }
+    // Remove an item from the cache list and from its group, and emit an evict event. Items removed
+    // because of the bound condition or a group limit are written to the disk tier, if any.
+    // @reason  The reason for the removal; 'size', 'age' or 'manual'.
+    function removeItem( item, reason ) {
+        var key = item.key;
+        var info = item.groupInfo;
+        if( disk && reason == 'size') {
+            spill( item );
+        }
+        unlink( item );
+        groupUnlink( info, item );
+        clearTags( item );
+        totalSize -= item.size;
+        count--;
+        info.size -= item.size;
+        info.evictions[reason]++;
+        delete groups[key.group][key.id];
+        if( --info.count == 0 ) {
+            delete groups[key.group];
+            delete groupInfo[key.group];
+        }
+        stats.evictions[reason]++;
+        self.emit('evict', key, item.data, reason );
     }
-}
 
-// Remove a cache item. This implementation doesn't actually remove the items from the cache list, instead it just
-// invalidates the item by dereferencing its data and setting the item size to zero. The item will eventually be
-// removed from the tail of the cache list when the list is being pruned after an add operation.
-function removeItem( cache, item ) {
-    delete item.data;
-    item.size = 0;
-    return cache;
-}
+    // Reset the cache statistics.
+    this.resetStats = function() {
+        stats = {
+            // The number of get requests returning an item.
+            hits:       0,
+            // The number of get requests returning an item read from the disk tier.
+            diskHits:   0,
+            // The number of get requests not finding an item, or finding an expired item.
+            misses:     0,
+            // The number of items added to memory (excluding updates of existing items, but including
+            // items promoted from the disk tier).
+            inserts:    0,
+            // The number of items removed from the cache, by reason.
+            evictions:  { size: 0, age: 0, manual: 0 }
+        };
+    };
+    this.resetStats();
+    // Return the cache statistics, including the current number of items and total size, and the
+    // disk tier's number of items and total size.
+    this.stats = function() {
+        return {
+            hits:       stats.hits,
+            diskHits:   stats.diskHits,
+            misses:     stats.misses,
+            inserts:    stats.inserts,
+            evictions:  {
+                size:   stats.evictions.size,
+                age:    stats.evictions.age,
+                manual: stats.evictions.manual
+            },
+            items:      count,
+            totalSize:  totalSize,
+            groups:     Object.keys( groups ).length,
+            disk:       disk ? disk.stats() : undefined
+        };
+    };
+    // Return the statistics for a group in memory, or undefined if the group isn't in memory. Group
+    // statistics are kept for as long as the group has items in memory, and aren't reset by resetStats().
+    // @id  The group ID.
+    this.groupStats = function( id ) {
+        var info = groupInfo[id];
+        if( !info ) {
+            return undefined;
+        }
+        return {
+            hits:       info.hits,
+            misses:     info.misses,
+            evictions:  {
+                size:   info.evictions.size,
+                age:    info.evictions.age,
+                manual: info.evictions.manual
+            },
+            items:      info.count,
+            totalSize:  info.size,
+            limit:      groupLimit( id )
+        };
+    };
 
-/**
- * Cache constuctor.
- * @boundCondition  A function used to test whether a tail (LRU) item should be removed from the cache because
- *                  it breaks the bound condition.
- */
-function LRUCache( boundCondition ) {
-    // The cache item groups.
-    var groups = {};
-    // A list of cache items, in most recently accessed order.
-    var cache = [];
-    // The total size of all items in the cache.
-    var totalSize = 0;
-    // Cache item serial numbers.
-    var series = new NumberSeries();
-    
     // Test whether the cache contains an item.
     this.has = function( key ) {
         var group = groups[key.group];
         var item = group && group[key.id];
-        return !!(item && item.data);
+        if( item ) {
+            return !!item.data && !expired( item );
+        }
+        return !!disk && disk.has( key );
     };
-    // Attempt to read data from the cache.
+    // Attempt to read data from the cache. Items not in memory are read from the disk tier, if any, and
+    // promoted back into memory.
     // @key:    The key the data is stored under. Must have 'group' and 'id' properties.
     this.get = function( key ) {
-        // TODO: Consider support for getting an entire group (i.e. key argument has only
-        // the group ID specified). Note though that this would require multiple toHead
-        // requests for each item in the group.
-        var item = false;
         var group = groups[key.group];
-        if( group ) {
-            item = group[key.id];
-            if( item ) {
-                cache = toHead( cache, item, series, true );
-            }
+        var item = group && group[key.id];
+        if( item && expired( item ) ) {
+            removeItem( item, 'age');
+            item = undefined;
         }
         if( item ) {
+            stats.hits++;
+            item.groupInfo.hits++;
+            toHead( item );
             item.time = Date.now();
             return item.data;
         }
+        var saved = disk && disk.read( key );
+        if( saved ) {
+            stats.hits++;
+            promote( saved ).groupInfo.hits++;
+            return saved.data;
+        }
+        stats.misses++;
+        if( groupInfo[key.group] ) {
+            groupInfo[key.group].misses++;
+        }
         return undefined;
     };
-    // Add an item to the cache. Will update an existing item if the key is already in the cache.
+    // Promote an item read from the disk tier into memory, with its remaining TTL. Adding the item
+    // also removes it from disk.
+    // Returns the promoted item.
+    function promote( saved ) {
+        var ttl = saved.expires > 0 ? Math.max( saved.expires - Date.now(), 1 ) : undefined;
+        stats.diskHits++;
+        return self.add( saved.data, saved.key, saved.size, { ttl: ttl, tags: saved.tags });
+    }
+    // Read all items in a group, including any items in the disk tier. Each item read is counted as a
+    // cache hit, and the group's items are moved to the head of the cache, in their current order.
+    // @id      The group ID.
+    // Returns an object mapping item IDs onto item data, or undefined if the group has no items.
+    this.getGroup = function( id ) {
+        var result, found = false;
+        if( disk ) {
+            disk.readGroup( id ).forEach( promote );
+        }
+        var group = groups[id];
+        if( group ) {
+            result = {};
+            touch( id ).forEach(function read( item ) {
+                stats.hits++;
+                item.groupInfo.hits++;
+                result[item.key.id] = item.data;
+                found = true;
+            });
+        }
+        if( !found ) {
+            stats.misses++;
+            return undefined;
+        }
+        return result;
+    };
+    // Move a group's items to the head of the cache, in their current order, and remove any expired items.
+    // Returns an array of the unexpired items.
+    function touch( id ) {
+        var info = groupInfo[id];
+        var items = [];
+        for( var item = info && info.tail; item; item = item.groupPrev ) {
+            items.push( item );
+        }
+        var now = Date.now();
+        return items.filter(function fresh( item ) {
+            if( expired( item ) ) {
+                removeItem( item, 'age');
+                return false;
+            }
+            toHead( item );
+            item.time = now;
+            return true;
+        });
+    }
+    // Mark a group's items as recently used, moving them to the head of the cache in their current order.
+    // Isn't counted as a cache hit. Only affects items in memory.
+    // @id      The group ID.
+    // Returns the number of items touched.
+    this.touchGroup = function( id ) {
+        return touch( id ).length;
+    };
+    // Set the size limit of a group. Items are evicted from the group, in least recently used order,
+    // when the group's total size exceeds its limit. The limit applies even when the group is empty.
+    // @id      The group ID.
+    // @maxSize The maximum total size of the group's items; or undefined to use the cache's default
+    //          group limit (if any).
+    this.setGroupLimit = function( id, maxSize ) {
+        if( maxSize === undefined ) {
+            delete groupLimits[id];
+        }
+        else {
+            groupLimits[id] = maxSize;
+        }
+        overLimit[id] = true;
+        this.prune();
+    };
+    // Add an item to the cache. Will update an existing item if the key is already in the cache, and
+    // removes any copy of the item from the disk tier.
     // @data:   The data to add.
     // @key:    The key to store the data under. Must have 'group' and 'id' properties.
     // @size:   The data size.
+    // @ttl:    An optional time to live for the item, in ms; or an options object with the following
+    //          properties. Can be omitted.
+    //          @ttl:   A time to live for the item, in ms.
+    //          @tags:  An array of tags for the item; see removeTag().
+    //          The item's TTL and tags are replaced when updating an existing item.
     // @cb:     An optional callback function to invoke after the cache tail has been pruned.
-    this.add = function( data, key, size, cb ) {
+    this.add = function( data, key, size, ttl, cb ) {
+        if( typeof ttl == 'function' ) {
+            cb = ttl;
+            ttl = undefined;
+        }
+        var tags;
+        if( ttl && typeof ttl == 'object' ) {
+            tags = ttl.tags;
+            ttl = ttl.ttl;
+        }
         size = size||0;
         var item = false;
         // Find item's group.
@@ -166,136 +430,228 @@ function LRUCache( boundCondition ) {
         else {
             // Group doesn't exist so create a new one for the item.
             groups[key.group] = group = {};
+            groupInfo[key.group] = {
+                count:      0,
+                size:       0,
+                head:       null,
+                tail:       null,
+                hits:       0,
+                misses:     0,
+                evictions:  { size: 0, age: 0, manual: 0 }
+            };
         }
+        var info = groupInfo[key.group];
         // Update or insert the item.
         if( item ) {
             // Updating existing item, so modify the cache size then move item to cache head.
             totalSize += (size - item.size);
+            info.size += (size - item.size);
             item.size = size;
             item.data = data;
-            cache = toHead( cache, item, series, true );
+            toHead( item );
         }
         else {
             // Inserting new item, so modify cache size then add item to head.
-            item = { key: key, data: data, size: size };
+            item = { key: key, data: data, size: size, prev: null, next: null, groupInfo: info, groupPrev: null, groupNext: null };
             group[key.id] = item;
+            info.count++;
+            count++;
+            stats.inserts++;
             totalSize += size;
-            cache = toHead( cache, item, series, false );
+            info.size += size;
+            link( item );
+            groupLink( info, item );
         }
         item.time = Date.now();
+        item.expires = ttl > 0 ? item.time + ttl : 0;
+        setTags( item, tags );
+        if( info.size > groupLimit( key.group ) ) {
+            overLimit[key.group] = true;
+        }
+        if( disk ) {
+            disk.remove( key );
+        }
         this.prune( cb );
         return item;
     };
 
-    // Remove an item or item group from the cache.
+    // Read data from the cache, loading it if not found.
+    // Concurrent loads of the same item are shared, so the loader is only called once for all callers
+    // waiting on the item. Load errors are returned to all waiting callers, and aren't cached.
+    // @key:    The key the data is stored under. Must have 'group' and 'id' properties.
+    // @loader: A function to load the data if not in the cache. Called with the key as its argument,
+    //          and should return the data or a promise resolving to the data. Undefined results aren't
+    //          added to the cache.
+    // @opts:   Optional add options:
+    //          @size:  The data size, or a function returning the size of the loaded data.
+    //          @ttl:   A time to live for the loaded item, in ms.
+    //          @tags:  Tags for the loaded item.
+    // Returns a deferred promise resolving to the data.
+    this.getOrLoad = function( key, loader, opts ) {
+        opts = opts||{};
+        var data = this.get( key );
+        if( data !== undefined ) {
+            return Q( data );
+        }
+        return loads.call( JSON.stringify([ key.group, key.id ]), function load() {
+            return Q.fcall( loader, key )
+            .then(function loaded( data ) {
+                if( data !== undefined ) {
+                    var size = typeof opts.size == 'function' ? opts.size( data ) : opts.size;
+                    self.add( data, key, size, { ttl: opts.ttl, tags: opts.tags });
+                }
+                return data;
+            });
+        });
+    };
+
+    // Remove an item or item group from the cache, including from the disk tier.
     // @key     The item's cache key. key.id can be null if removing a group.
     // @cb      An optional callback function to invoke after the operation.
     this.remove = function( key, cb ) {
-        var group = groups[key.group];
-        if( key.id ) {
+        process.nextTick(function() {
+            if( disk ) {
+                if( key.id ) {
+                    disk.remove( key );
+                }
+                else {
+                    disk.removeGroup( key.group );
+                }
+            }
+            var group = groups[key.group];
             if( group ) {
-                process.nextTick(function() {
+                if( key.id ) {
                     var item = group[key.id];
                     if( item ) {
-                        totalSize -= item.size;
-                        delete group[key.id];
-                        cache = removeItem( cache, item );
-                        if( Object.keys( group ).length == 0 ) {
-                            delete groups[key.group];
-                        }
+                        removeItem( item, 'manual');
                     }
-                    cb && cb();
-                });
-            }
-            else cb && cb();
-        }
-        else {
-            process.nextTick(function() {
-                for( var id in group ) {
-                    var item = group[id];
-                    totalSize -= item.size;
-                    cache = removeItem( cache, item );
                 }
-                delete groups[key.group];
-                cb && cb();
-            });
-        }
+                else {
+                    for( var id in group ) {
+                        removeItem( group[id], 'manual');
+                    }
+                }
+            }
+            cb && cb();
+        });
+    };
+
+    // Remove all items with a tag from the cache, including from the disk tier.
+    // @tag     The tag.
+    // @cb      An optional callback function to invoke after the operation.
+    this.removeTag = function( tag, cb ) {
+        process.nextTick(function() {
+            if( disk ) {
+                disk.removeTag( tag );
+            }
+            var items = tagged[tag];
+            for( var sno in items ) {
+                removeItem( items[sno], 'manual');
+            }
+            cb && cb();
+        });
     };
 
-    // Prune LRU items from the tail of the cache.
+    // Prune LRU items from the tail of the cache, and from the tail of any groups over their size limit.
     // This method is invoked automatically by add() so it shouldn't normally be necessary to call this
     // method directly, but for an age bounded cache it may sometimes be useful.
     // @cb  An optional callback function to invoke after the operation.
     this.prune = function( cb ) {
-        var self = this;
         process.nextTick(function() {
-            // Check that the cache is within its size limits. Working from the cache tail, remove
-            // items until cache is below max size.
-            var i = cache.length - 1, prunedGroups = {};
-            for( var tailItem = cache[i]; i >= 0 && boundCondition( tailItem, totalSize, self ); tailItem = cache[--i] ) {
-                totalSize -= tailItem.size;         // Reduce total size.
-                key = tailItem.key;                 // Read item key.
-                group = groups[key.group];          // Read item group.
-                delete group[key.id];               // Remove item from group.
-                prunedGroups[key.group] = group;    // Record group pruning.
-            }
-            // Trim the cache list to remove the pruned items.
-            if( i < cache.length - 1 ) {
-                cache = cache.slice( 0, i + 1 );
+            for( var id in overLimit ) {
+                var limit = groupLimit( id );
+                var info = groupInfo[id];
+                while( info && info.size > limit ) {
+                    removeItem( info.tail, 'size');
+                    info = groupInfo[id];
+                }
             }
-            // Remove any groups left empty after the pruning.
-            for( var id in prunedGroups ) {
-                group = prunedGroups[id];
-                if( Object.keys( group ).length == 0 ) {
-                    delete groups[id];
+            overLimit = {};
+            // Working from the cache tail, remove items until the cache is within its bound condition
+            // and the tail item hasn't expired.
+            while( tail ) {
+                if( expired( tail ) ) {
+                    removeItem( tail, 'age');
+                }
+                else if( boundCondition( tail, totalSize, self ) ) {
+                    removeItem( tail, 'size');
+                }
+                else {
+                    break;
                 }
             }
             cb && cb();
         });
     };
-    // Inspect the cache contents.
+    // Write all items in memory to the disk tier, e.g. before the process exits. Items remain in memory.
+    // @cb  An optional callback function to invoke once all items have been written.
+    this.flush = function( cb ) {
+        if( disk ) {
+            // Write from the tail, so that the disk tier's LRU order matches memory.
+            for( var item = tail; item; item = item.prev ) {
+                if( !expired( item ) ) {
+                    spill( item );
+                }
+            }
+            disk.sync().then(function flushed() {
+                cb && cb();
+            })
+            .done();
+        }
+        else {
+            process.nextTick(function() {
+                cb && cb();
+            });
+        }
+    };
+    // Inspect the cache contents. The items are listed in most recently used order.
     this.inspect = function() {
+        var items = [];
+        for( var item = head; item; item = item.next ) {
+            items.push({ key: item.key, data: item.data, size: item.size, time: item.time, expires: item.expires, tags: item.tags||[] });
+        }
         return {
             totalSize: totalSize,
             groups: Object.keys( groups ),
-            items: cache
+            items: items
         };
     };
     // Return the items stored under a specified group. Returns undefined if the group doesn't exist.
-    // Isn't counted as a cache hit, so doesn't change the LRU order of the group's items.
+    // Isn't counted as a cache hit, so doesn't change the LRU order of the group's items. See also
+    // getGroup().
     this.group = function( id ) {
         return groups[id];
     };
 
     this.key = createKey;
-
-    // Enable test mode.
-    // This is provided specifically for testing the numbering series overflow/renumber functionality.
-    this.testMode = function( range ) {
-        testMode = true;
-        seriesStart = 0
-        seriesEnd = range||20;
-        series = new NumberSeries();
-    };
 }
+mods.util.inherits( LRUCache, mods.events.EventEmitter );
 
 /**
  * Create a new cache of the specified maximum size.
+ * @opts    Optional cache options; see LRUCache.
  */
-exports.createWithMaxSize = function( maxSize ) {
+exports.createWithMaxSize = function( maxSize, opts ) {
     return new LRUCache(function( tailItem, totalSize ) {
         return totalSize > maxSize;
-    });
+    }, opts );
 };
 
 /**
  * Create a new cache with a specified maximum age for cache items.
  * @maxAge  A ms duration value.
+ * @opts    Optional cache options; see LRUCache.
  */
-exports.createWithMaxAge = function( maxAge ) {
+exports.createWithMaxAge = function( maxAge, opts ) {
+    var cacheOpts = { maxAge: maxAge };
+    for( var id in opts ) {
+        if( id != 'maxAge' ) {
+            cacheOpts[id] = opts[id];
+        }
+    }
     return new LRUCache(function( tailItem, totalSize ) {
         return (Date.now() - tailItem.time) > maxAge;
-    });
+    }, cacheOpts );
 };
 
 /**
@@ -304,11 +660,11 @@ exports.createWithMaxAge = function( maxAge ) {
  *      removed from the cache because it is outside of the cache bound condition.
  *      @tailItem   The LRU item in the cache.
  *      @totalSize  The sum of a the sizes of all items in the cache.
+ * @opts    Optional cache options; see LRUCache.
  */
-exports.createWithBoundCondition = function( fn ) {
-    return new LRUCache( fn );
+exports.createWithBoundCondition = function( fn, opts ) {
+    return new LRUCache( fn, opts );
 };
 
 // Create a cache key.
 exports.key = createKey;
-
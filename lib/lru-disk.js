@@ -0,0 +1,577 @@
+/**
+ * A disk tier for the LRU cache. Stores cache items as files in a directory, bounded by the total
+ * size of the files, and removes files in least recently used order to maintain the bound.
+ *
+ * Each item is stored in a file named <dir>/<group hash>/<id hash>.<expiry time>, where the expiry
+ * time is zero for items without a TTL. Each file contains a JSON header line, followed by the
+ * item data; Buffer data is stored as is, other data is stored as JSON. Because all of the index
+ * information needed is in the file names and stats, the tier can be rebuilt from the directory
+ * when the process restarts, without reading the files. Item tags are stored in the file header;
+ * after a restart they are loaded from the files asynchronously, in the background.
+ *
+ * The index is held in memory and updated synchronously, so reads are synchronous. File writes and
+ * deletes are asynchronous, but are queued so that operations on each file happen in order; items
+ * are readable from memory whilst they are being written.
+ */
+var Log = require('log4js').getLogger('semo.utils.lru-disk');
+var Q = require('q');
+var mods = {
+    crypto: require('crypto'),
+    fs:     require('fs'),
+    path:   require('path')
+}
+
+/**
+ * Hash a key component, for use as a file name.
+ */
+function hash( value ) {
+    return mods.crypto.createHash('sha1').update( String( value ) ).digest('hex');
+}
+
+/**
+ * Create a directory, including any missing parent directories.
+ */
+function mkdirs( dir ) {
+    if( !mods.fs.existsSync( dir ) ) {
+        mkdirs( mods.path.dirname( dir ) );
+        mods.fs.mkdirSync( dir );
+    }
+}
+
+/**
+ * JSON reviver which restores Buffers within item data.
+ */
+function reviveBuffers( key, value ) {
+    if( value && value.type == 'Buffer' && Array.isArray( value.data ) ) {
+        return new Buffer( value.data );
+    }
+    return value;
+}
+
+/**
+ * Serialize a cache item.
+ * @return A Buffer containing the file contents, or undefined if the data can't be serialized.
+ */
+function serialize( key, data, size, tags ) {
+    var type = Buffer.isBuffer( data ) ? 'buffer' : 'json';
+    var payload = type == 'buffer' ? data : JSON.stringify( data );
+    if( payload === undefined ) {
+        return undefined;
+    }
+    var header = JSON.stringify({ group: key.group, id: key.id, size: size, tags: tags, type: type })+'\n';
+    return Buffer.concat([ new Buffer( header ), Buffer.isBuffer( payload ) ? payload : new Buffer( payload ) ]);
+}
+
+/**
+ * Deserialize a cache item.
+ * @return An object with key, data, size and tags properties.
+ */
+function deserialize( buffer ) {
+    var i = buffer.indexOf( 10 ); // Newline.
+    var header = JSON.parse( buffer.slice( 0, i ).toString() );
+    var payload = buffer.slice( i + 1 );
+    return {
+        key:    { id: header.id, group: header.group },
+        data:   header.type == 'buffer' ? payload : JSON.parse( payload.toString(), reviveBuffers ),
+        size:   header.size,
+        tags:   header.tags||[]
+    };
+}
+
+/**
+ * Read the header line of an item file.
+ * @return The parsed header.
+ */
+function readHeader( path ) {
+    var fd = mods.fs.openSync( path, 'r');
+    try {
+        var chunks = [], chunk = new Buffer( 1024 ), bytes, i = -1;
+        while( i < 0 && (bytes = mods.fs.readSync( fd, chunk, 0, chunk.length, null )) > 0 ) {
+            i = chunk.slice( 0, bytes ).indexOf( 10 );
+            chunks.push( new Buffer( chunk.slice( 0, i < 0 ? bytes : i ) ) );
+        }
+        return JSON.parse( Buffer.concat( chunks ).toString() );
+    }
+    finally {
+        mods.fs.closeSync( fd );
+    }
+}
+
+/**
+ * Read the header line of an item file asynchronously.
+ * @return A deferred promise resolving to the parsed header.
+ */
+function readHeaderAsync( path ) {
+    return Q.nfcall( mods.fs.open, path, 'r')
+    .then(function opened( fd ) {
+        var chunks = [], chunk = new Buffer( 1024 );
+        function next() {
+            return Q.nfcall( mods.fs.read, fd, chunk, 0, chunk.length, null )
+            .spread(function read( bytes ) {
+                var i = chunk.slice( 0, bytes ).indexOf( 10 );
+                chunks.push( new Buffer( chunk.slice( 0, i < 0 ? bytes : i ) ) );
+                if( i < 0 && bytes > 0 ) {
+                    return next();
+                }
+                return JSON.parse( Buffer.concat( chunks ).toString() );
+            });
+        }
+        return next()
+        .fin(function close() {
+            return Q.nfcall( mods.fs.close, fd );
+        });
+    });
+}
+
+/**
+ * A disk tier.
+ * @param opts  Disk tier options:
+ *              @property dir       The directory to store items in. Created if it doesn't exist.
+ *              @property maxSize   The maximum total size, in bytes, of all item files.
+ */
+function DiskTier( opts ) {
+    if( !(opts && opts.dir) ) {
+        throw new Error('LRU cache disk tier requires a dir option');
+    }
+    this.dir = mods.path.resolve( opts.dir );
+    this.maxSize = opts.maxSize||Infinity;
+    // Index of the stored items, keyed by <group hash>/<id hash>. Items are kept in least
+    // recently used order, using object key insertion order; so reading an item deletes
+    // and reinserts its index entry. Each entry's tags property is undefined until the tags
+    // are known.
+    this.entries = {};
+    // Index of item names by group hash; each group maps item names onto true, in least
+    // recently used order.
+    this.groups = {};
+    // Index of item names by tag, for items whose tags are known. The map has no prototype,
+    // as tags are arbitrary strings.
+    this.tagged = Object.create( null );
+    // Tags removed whilst item tags are being loaded after a restart, or null once loaded.
+    this.removedTags = null;
+    // A promise resolved once item tags have been loaded.
+    this.loading = Q();
+    // The total size of all item files.
+    this.totalSize = 0;
+    // The number of items stored.
+    this.count = 0;
+    // File contents currently being written, keyed by file path.
+    this.pending = {};
+    // Queued file operations, keyed by file path.
+    this.ops = {};
+    this.scan();
+}
+
+/**
+ * Rebuild the index from the files in the tier directory.
+ */
+DiskTier.prototype.scan = function() {
+    mkdirs( this.dir );
+    var files = [];
+    var dir = this.dir;
+    mods.fs.readdirSync( dir ).forEach(function group( groupHash ) {
+        var groupDir = mods.path.join( dir, groupHash );
+        if( !mods.fs.statSync( groupDir ).isDirectory() ) {
+            return;
+        }
+        mods.fs.readdirSync( groupDir ).forEach(function file( name ) {
+            var r = /^([0-9a-f]{40})\.(\d+)(\.tmp)?$/.exec( name );
+            if( r && r[3] ) {
+                // Incomplete write.
+                mods.fs.unlinkSync( mods.path.join( groupDir, name ) );
+            }
+            else if( r ) {
+                var stats = mods.fs.statSync( mods.path.join( groupDir, name ) );
+                files.push({
+                    name:       groupHash+'/'+r[1],
+                    expires:    Number( r[2] ),
+                    size:       stats.size,
+                    mtime:      stats.mtime.getTime()
+                });
+            }
+        });
+    });
+    // Add to the index in modification time order, so that the least recently used items are first.
+    files.sort(function compare( a, b ) {
+        return a.mtime - b.mtime;
+    });
+    files.forEach(function add( file ) {
+        this.addEntry( file.name, { size: file.size, expires: file.expires });
+    }, this );
+    Log.debug('Found %d cache items in %s', this.count, this.dir );
+    this.prune();
+    this.removedTags = Object.create( null );
+    this.loading = this.loadTags( Object.keys( this.entries ) );
+}
+
+/**
+ * Load the tags of indexed items from their files, reading one file at a time.
+ * @param names The names of the items to load tags for.
+ * @return A deferred promise, resolved once all tags are loaded.
+ */
+DiskTier.prototype.loadTags = function( names ) {
+    var tier = this;
+    return names.reduce(function load( prev, name ) {
+        return prev.then(function load() {
+            var entry = tier.entries[name];
+            if( !entry || entry.tags !== undefined ) {
+                // Item removed, rewritten or read since the index was built.
+                return;
+            }
+            var path = tier.path( name, entry );
+            return readHeaderAsync( path )
+            .then(function loaded( header ) {
+                return header.tags||[];
+            })
+            .fail(function fail( err ) {
+                Log.warn('Unable to read cache file %s: %s', path, err.message );
+                return [];
+            })
+            .then(function tag( tags ) {
+                if( tier.entries[name] === entry && entry.tags === undefined ) {
+                    tier.tagEntry( name, entry, tags );
+                }
+            });
+        });
+    }, Q())
+    .then(function loaded() {
+        tier.removedTags = null;
+        Log.debug('Loaded cache item tags in %s', tier.dir );
+    });
+}
+
+/**
+ * Return the path of an item file.
+ */
+DiskTier.prototype.path = function( name, entry ) {
+    return mods.path.join( this.dir, name+'.'+entry.expires );
+}
+
+/**
+ * Queue an asynchronous operation on a file. Operations on the same file are performed in order.
+ * @param path  The file path.
+ * @param op    A function returning a promise.
+ */
+DiskTier.prototype.queue = function( path, op ) {
+    var ops = this.ops;
+    var result = Q( ops[path] )
+    .then( op )
+    .fail(function fail( err ) {
+        Log.warn('Cache file operation failed on %s: %s', path, err );
+    });
+    ops[path] = result;
+    result.then(function done() {
+        if( ops[path] === result ) {
+            delete ops[path];
+        }
+    });
+}
+
+/**
+ * Add an item to the index.
+ */
+DiskTier.prototype.addEntry = function( name, entry ) {
+    var groupHash = name.split('/')[0];
+    this.entries[name] = entry;
+    this.totalSize += entry.size;
+    this.count++;
+    var group = this.groups[groupHash];
+    if( !group ) {
+        group = this.groups[groupHash] = {};
+    }
+    group[name] = true;
+    if( entry.tags ) {
+        this.indexTags( name, entry.tags );
+    }
+}
+
+/**
+ * Add an item to the tag index.
+ */
+DiskTier.prototype.indexTags = function( name, tags ) {
+    var tagged = this.tagged;
+    tags.forEach(function index( tag ) {
+        var names = tagged[tag];
+        if( !names ) {
+            names = tagged[tag] = {};
+        }
+        names[name] = true;
+    });
+}
+
+/**
+ * Record the tags of an indexed item whose tags weren't previously known. The item is removed
+ * if any of its tags were removed from the tier whilst its tags were unknown.
+ * @return true if the item is still in the tier.
+ */
+DiskTier.prototype.tagEntry = function( name, entry, tags ) {
+    entry.tags = tags;
+    var removedTags = this.removedTags;
+    var removed = !!removedTags && tags.some(function removed( tag ) {
+        return removedTags[tag];
+    });
+    if( removed ) {
+        this.removeEntry( name );
+        return false;
+    }
+    this.indexTags( name, tags );
+    return true;
+}
+
+/**
+ * Remove an item from the index, and queue deletion of its file.
+ */
+DiskTier.prototype.removeEntry = function( name ) {
+    var entry = this.entries[name];
+    if( entry ) {
+        var path = this.path( name, entry );
+        var groupHash = name.split('/')[0];
+        var group = this.groups[groupHash];
+        delete group[name];
+        if( Object.keys( group ).length == 0 ) {
+            delete this.groups[groupHash];
+        }
+        var tagged = this.tagged;
+        (entry.tags||[]).forEach(function unindex( tag ) {
+            var names = tagged[tag];
+            if( names ) {
+                delete names[name];
+                if( Object.keys( names ).length == 0 ) {
+                    delete tagged[tag];
+                }
+            }
+        });
+        delete this.entries[name];
+        delete this.pending[path];
+        this.totalSize -= entry.size;
+        this.count--;
+        this.queue( path, function unlink() {
+            return Q.nfcall( mods.fs.unlink, path );
+        });
+    }
+}
+
+/**
+ * Remove least recently used items until the tier is within its size bound.
+ */
+DiskTier.prototype.prune = function() {
+    for( var name in this.entries ) {
+        if( this.totalSize <= this.maxSize ) {
+            break;
+        }
+        this.removeEntry( name );
+    }
+}
+
+/**
+ * Read the tags of an indexed item from its file, if not yet known.
+ * @return true if the item is still in the tier.
+ */
+DiskTier.prototype.readTags = function( name ) {
+    var entry = this.entries[name];
+    if( entry.tags !== undefined ) {
+        return true;
+    }
+    var path = this.path( name, entry );
+    var tags;
+    try {
+        tags = readHeader( path ).tags||[];
+    }
+    catch( e ) {
+        Log.warn('Unable to read cache file %s: %s', path, e.message );
+        tags = [];
+    }
+    return this.tagEntry( name, entry, tags );
+}
+
+/**
+ * Test whether the tier contains an unexpired item.
+ * @param key   The item key.
+ */
+DiskTier.prototype.has = function( key ) {
+    var name = hash( key.group )+'/'+hash( key.id );
+    var entry = this.entries[name];
+    if( !entry || (entry.expires > 0 && Date.now() >= entry.expires) ) {
+        return false;
+    }
+    // Whilst tags are being loaded, check that the item's tags haven't been removed.
+    return !this.removedTags || this.readTags( name );
+}
+
+/**
+ * Write an item to the tier.
+ * @param key       The item key.
+ * @param data      The item data.
+ * @param size      The item's size in the memory tier.
+ * @param expires   The item's expiry time, or zero if it doesn't expire.
+ * @param tags      The item's tags (optional).
+ */
+DiskTier.prototype.write = function( key, data, size, expires, tags ) {
+    tags = tags||[];
+    var name = hash( key.group )+'/'+hash( key.id );
+    // Remove any previous version of the item.
+    this.removeEntry( name );
+    var contents;
+    try {
+        contents = serialize( key, data, size, tags.length ? tags : undefined );
+    }
+    catch( e ) {
+        Log.warn('Unable to write cache item %s/%s to disk: %s', key.group, key.id, e.message );
+        return;
+    }
+    if( !contents || contents.length > this.maxSize ) {
+        return;
+    }
+    var entry = { size: contents.length, expires: expires||0, tags: tags };
+    var path = this.path( name, entry );
+    var pending = this.pending;
+    this.addEntry( name, entry );
+    pending[path] = contents;
+    this.queue( path, function write() {
+        var dir = mods.path.dirname( path ), tmp = path+'.tmp';
+        if( pending[path] !== contents ) {
+            // Item removed before it could be written.
+            return;
+        }
+        return Q.nfcall( mods.fs.mkdir, dir )
+        .fail(function exists() {})
+        .then(function write() {
+            return Q.nfcall( mods.fs.writeFile, tmp, contents );
+        })
+        .then(function rename() {
+            return Q.nfcall( mods.fs.rename, tmp, path );
+        })
+        .fin(function written() {
+            if( pending[path] === contents ) {
+                delete pending[path];
+            }
+        });
+    });
+    this.prune();
+}
+
+/**
+ * Read an item from the tier. Expired items are removed.
+ * @param key   The item key.
+ * @return An object with key, data, size, expires and tags properties; or undefined if the item
+ *         isn't found.
+ */
+DiskTier.prototype.read = function( key ) {
+    return this.readEntry( hash( key.group )+'/'+hash( key.id ) );
+}
+
+/**
+ * Read all items in a group from the tier. Expired items are removed.
+ * @param group The group ID.
+ * @return An array of items, as returned by read().
+ */
+DiskTier.prototype.readGroup = function( group ) {
+    var names = Object.keys( this.groups[hash( group )]||{} );
+    var items = [];
+    names.forEach(function read( name ) {
+        var item = this.readEntry( name );
+        if( item ) {
+            items.push( item );
+        }
+    }, this );
+    return items;
+}
+
+/**
+ * Read an indexed item.
+ */
+DiskTier.prototype.readEntry = function( name ) {
+    var entry = this.entries[name];
+    if( !entry ) {
+        return undefined;
+    }
+    if( entry.expires > 0 && Date.now() >= entry.expires ) {
+        this.removeEntry( name );
+        return undefined;
+    }
+    var path = this.path( name, entry );
+    try {
+        var item = deserialize( this.pending[path]||mods.fs.readFileSync( path ) );
+        item.expires = entry.expires;
+        if( entry.tags === undefined && !this.tagEntry( name, entry, item.tags ) ) {
+            return undefined;
+        }
+        // Move the item to the most recently used end of the index, and update the file's
+        // modification time so that the order is preserved when the index is rebuilt.
+        var group = this.groups[name.split('/')[0]];
+        delete this.entries[name];
+        this.entries[name] = entry;
+        delete group[name];
+        group[name] = true;
+        this.queue( path, function touch() {
+            var now = new Date();
+            return Q.nfcall( mods.fs.utimes, path, now, now );
+        });
+        return item;
+    }
+    catch( e ) {
+        Log.warn('Unable to read cache file %s: %s', path, e.message );
+        this.removeEntry( name );
+        return undefined;
+    }
+}
+
+/**
+ * Remove an item from the tier.
+ * @param key   The item key.
+ */
+DiskTier.prototype.remove = function( key ) {
+    this.removeEntry( hash( key.group )+'/'+hash( key.id ) );
+}
+
+/**
+ * Remove all items in a group from the tier.
+ * @param group The group ID.
+ */
+DiskTier.prototype.removeGroup = function( group ) {
+    var names = Object.keys( this.groups[hash( group )]||{} );
+    names.forEach( this.removeEntry, this );
+}
+
+/**
+ * Remove all items with a tag from the tier.
+ * @param tag   The tag.
+ */
+DiskTier.prototype.removeTag = function( tag ) {
+    var names = Object.keys( this.tagged[tag]||{} );
+    names.forEach( this.removeEntry, this );
+    if( this.removedTags ) {
+        // Items whose tags haven't been loaded yet are checked against the tag once loaded.
+        this.removedTags[tag] = true;
+    }
+}
+
+/**
+ * Wait for all queued file operations, and the loading of item tags, to complete.
+ * @return A deferred promise, resolved once the queue is empty.
+ */
+DiskTier.prototype.sync = function() {
+    var ops = this.ops;
+    var pending = Object.keys( ops ).map(function op( path ) {
+        return ops[path];
+    });
+    return Q.all( pending.concat( this.loading ) );
+}
+
+/**
+ * Return the tier's statistics.
+ */
+DiskTier.prototype.stats = function() {
+    return {
+        items:      this.count,
+        totalSize:  this.totalSize,
+        maxSize:    this.maxSize
+    };
+}
+
+/**
+ * Create a disk tier.
+ * @param opts  Disk tier options; see DiskTier.
+ */
+module.exports = function( opts ) {
+    return new DiskTier( opts );
+}
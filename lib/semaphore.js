@@ -1,5 +1,6 @@
 var Log = require('log4js').getLogger('semo.utils.semaphore');
 var Q = require('q');
+var format = require('util').format;
 
 /**
  * A class for controlling concurrent access to a limited resource.
@@ -9,16 +10,55 @@ var Q = require('q');
 function Semaphore( limit ) {
     this.limit = limit;
     this.calls = 0; // The number of active operation calls.
+    this.pending = []; // Queued operation calls, as [ op, dp, queue time ] arrays.
+    this.resetStats();
+}
+/**
+ * Reset the semaphore's statistics.
+ */
+Semaphore.prototype.resetStats = function() {
+    this._stats = {
+        // The number of operation calls started.
+        started:    0,
+        // The number of operation calls which were queued before starting.
+        queued:     0,
+        // The number of queued operation calls which were cancelled.
+        cancelled:  0,
+        // The total time, in ms, spent by operation calls in the queue.
+        totalWait:  0,
+        // The longest time, in ms, spent by an operation call in the queue.
+        maxWait:    0
+    };
+}
+/**
+ * Return the semaphore's statistics. As well as the cumulative statistics, the result
+ * includes the semaphore limit and the current number of active and queued calls.
+ */
+Semaphore.prototype.stats = function() {
+    var stats = {
+        limit:      this.limit,
+        active:     this.calls,
+        queueDepth: this.pending.length
+    };
+    for( var id in this._stats ) {
+        stats[id] = this._stats[id];
+    }
+    // Average wait of the queued calls which have started.
+    var waited = stats.queued - stats.cancelled - stats.queueDepth;
+    stats.averageWait = waited > 0 ? stats.totalWait / waited : 0;
+    return stats;
 }
 /**
  * Call an operation protected by this semaphore.
  * If the current number of calls on the underlying resource is below the semaphore
  * limit then the op function is called immediately; otherwise the call is queued
  * until other calls complete and the number of calls drops below the limit.
- * @param op    The operation function to be called.
+ * @param op        The operation function to be called.
+ * @param cancel    An optional promise; if resolved whilst the call is still queued,
+ *                  then the call is cancelled. See cancel().
  * @return A deferred promise resolving to the operation result.
  */
-Semaphore.prototype.call = function( op ) {
+Semaphore.prototype.call = function( op, cancel ) {
     var dp = Q.defer();
     // If number of active calls is below the semaphore limit...
     if( this.calls < this.limit ) {
@@ -27,25 +67,55 @@ Semaphore.prototype.call = function( op ) {
     }
     else {
         // ...else queue the call until later.
-        this.pending.push([ op, dp ]);
+        this.pending.push([ op, dp, Date.now() ]);
+        this._stats.queued++;
+        if( cancel ) {
+            var semaphore = this;
+            Q( cancel ).then(function cancel( reason ) {
+                semaphore.cancel( dp.promise, reason );
+            });
+        }
     }
     return dp.promise;
 }
+/**
+ * Cancel a queued operation call. The call's promise is rejected with an error with
+ * an 'ECANCELED' code. Has no effect if the call has already started.
+ * @param promise   The promise returned by call().
+ * @param reason    An optional reason for the cancellation.
+ * @return true if the call was cancelled.
+ */
+Semaphore.prototype.cancel = function( promise, reason ) {
+    for( var i = 0; i < this.pending.length; i++ ) {
+        var dp = this.pending[i][1];
+        if( dp.promise === promise ) {
+            this.pending.splice( i, 1 );
+            this._stats.cancelled++;
+            var err = new Error( reason ? format('Cancelled: %s', reason ) : 'Cancelled');
+            err.code = 'ECANCELED';
+            dp.reject( err );
+            return true;
+        }
+    }
+    return false;
+}
 /**
  * Call an operation function.
  * @param op    The operation function.
  * @param dp    A deferred promise waiting for the operation result.
  */
 Semaphore.prototype.callOp = function( op, dp ) {
+    var semaphore = this;
+    // Increment the active call count.
+    this.calls++;
+    this._stats.started++;
     try {
-        // Increment the active call count.
-        this.calls++;
-        op()
+        Q( op() )
         .then(function then( result ) {
-            this.resolve( dp, result );
-        })
-        .fail(function fail( err ) {
-            this.reject( dp, err );
+            semaphore.resolve( dp, result );
+        },
+        function fail( err ) {
+            semaphore.reject( dp, err );
         })
         .done();
     }
@@ -89,7 +159,10 @@ Semaphore.prototype.next = function() {
     if( this.pending.length > 0 ) {
         // ...then call that op.
         var args = this.pending.shift();
-        callOp.apply( this, args );
+        var wait = Date.now() - args[2];
+        this._stats.totalWait += wait;
+        this._stats.maxWait = Math.max( this._stats.maxWait, wait );
+        this.callOp( args[0], args[1] );
     }
 }
 
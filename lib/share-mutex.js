@@ -55,7 +55,7 @@ ShareMutex.prototype.call = function( opID, opFn ) {
             .done();
         }
         catch( err ) {
-            dq.reject( opID, err );
+            oq.reject( opID, err );
         }
     }
     return dp.promise;